@@ -1,5 +1,7 @@
 import React, { useState, useEffect, useCallback, createContext, useContext, useRef } from 'react';
 import axios from 'axios';
+import * as XLSX from 'xlsx';
+import { BrowserRouter, Routes, Route, Navigate, Link, NavLink, useNavigate, useParams, useLocation, useSearchParams } from 'react-router-dom';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 const noCacheConfig = () => ({
@@ -10,6 +12,107 @@ const noCacheConfig = () => ({
   }
 });
 
+const DEFAULT_EXCHANGE_RATES = {
+  USD: 1,
+  GBP: 0.79,
+  EUR: 0.92,
+  INR: 82.5,
+  AED: 3.67,
+  AUD: 1.52,
+  CAD: 1.35,
+  JPY: 148,
+  CNY: 7.24,
+  SAR: 3.75
+};
+
+// Used until a currency list is saved in Settings. USD is the base currency and cannot be disabled.
+const BASE_CURRENCY = 'USD';
+const DEFAULT_CURRENCIES = [
+  { code: 'USD', name: 'US Dollar', symbol: '$', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'GBP', name: 'British Pound', symbol: '£', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'EUR', name: 'Euro', symbol: '€', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'INR', name: 'Indian Rupee', symbol: '₹', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'AED', name: 'UAE Dirham', symbol: 'د.إ', decimals: 2, symbolPosition: 'after', enabled: true },
+  { code: 'AUD', name: 'Australian Dollar', symbol: 'A$', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'CAD', name: 'Canadian Dollar', symbol: 'C$', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'JPY', name: 'Japanese Yen', symbol: '¥', decimals: 0, symbolPosition: 'before', enabled: true },
+  { code: 'CNY', name: 'Chinese Yuan', symbol: '¥', decimals: 2, symbolPosition: 'before', enabled: true },
+  { code: 'SAR', name: 'Saudi Riyal', symbol: 'ر.س', decimals: 2, symbolPosition: 'after', enabled: true }
+];
+
+// Active ISO 4217 currency codes
+const ISO_4217_CODES = new Set(`
+  AED AFN ALL AMD ANG AOA ARS AUD AWG AZN BAM BBD BDT BGN BHD BIF BMD BND BOB BRL BSD BTN BWP BYN BZD
+  CAD CDF CHF CLP CNY COP CRC CUP CVE CZK DJF DKK DOP DZD EGP ERN ETB EUR FJD FKP GBP GEL GHS GIP GMD
+  GNF GTQ GYD HKD HNL HTG HUF IDR ILS INR IQD IRR ISK JMD JOD JPY KES KGS KHR KMF KPW KRW KWD KYD KZT
+  LAK LBP LKR LRD LSL LYD MAD MDL MGA MKD MMK MNT MOP MRU MUR MVR MWK MXN MYR MZN NAD NGN NIO NOK NPR
+  NZD OMR PAB PEN PGK PHP PKR PLN PYG QAR RON RSD RUB RWF SAR SBD SCR SDG SEK SGD SHP SLE SOS SRD SSP
+  STN SVC SYP SZL THB TJS TMT TND TOP TRY TTD TWD TZS UAH UGX USD UYU UZS VES VND VUV WST XAF XCD XCG
+  XOF XPF YER ZAR ZMW ZWG
+`.trim().split(/\s+/));
+
+const formatMoney = (amount, currency) => {
+  const value = (Number(amount) || 0).toLocaleString(undefined, {
+    minimumFractionDigits: currency.decimals,
+    maximumFractionDigits: currency.decimals
+  });
+  return currency.symbolPosition === 'after' ? `${value} ${currency.symbol}` : `${currency.symbol}${value}`;
+};
+
+// Rounding rules are saved with the currency list so the storefront applies the same ones.
+// `roundTo` is the step a converted price is rounded to; `ending` then turns it into a
+// charm price ending in .99 (whole units minus a cent) or 9 (tens minus one).
+const ROUNDING_STEPS = [
+  { value: 0.01, label: 'Smallest unit' },
+  { value: 1, label: 'Nearest 1' },
+  { value: 10, label: 'Nearest 10' },
+  { value: 100, label: 'Nearest 100' }
+];
+const PRICE_ENDINGS = [
+  { id: '', label: 'As rounded' },
+  { id: '.99', label: 'End in .99' },
+  { id: '9', label: 'End in 9' }
+];
+
+export const applyRounding = (amount, currency) => {
+  if (!(amount > 0)) return 0;
+  const decimals = currency.decimals ?? 2;
+  const step = Math.max(currency.rounding?.roundTo ?? 0.01, 10 ** -decimals);
+  let result;
+  if (currency.rounding?.ending === '.99') {
+    const unit = Math.max(step, 1);
+    result = Math.max(unit, Math.round((amount + 0.01) / unit) * unit) - 0.01;
+  } else if (currency.rounding?.ending === '9') {
+    const unit = Math.max(step, 10);
+    result = Math.max(unit, Math.round((amount + 1) / unit) * unit) - 1;
+  } else {
+    result = Math.round(amount / step) * step;
+  }
+  return Number(result.toFixed(decimals));
+};
+
+const convertPrice = (amount, rate, currency) => applyRounding((Number(amount) || 0) * rate, currency);
+
+// Per-product overrides win over the global table
+const productRate = (product, code, globalRates) => product.exchangeRates?.[code] ?? globalRates[code];
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// 403 means the signed-in role may not do this; say so instead of a generic failure
+const apiErrorMessage = (error, fallback) => {
+  if (error.response?.status === 403) {
+    return 'You are not allowed to do this. Ask an administrator if you need access.';
+  }
+  return error.response?.data?.message || fallback || error.message;
+};
+
 // Auth Context
 const AuthContext = createContext();
 
@@ -17,14 +120,91 @@ function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
   const [token, setToken] = useState(localStorage.getItem('adminToken'));
   const [loading, setLoading] = useState(true);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const userRef = useRef(null);
+  const refreshRef = useRef(null);
+  const reloginRef = useRef(null);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
+
+  // Stores a new token pair without touching `token` state, so a silent refresh
+  // does not re-run the startup /auth/me check
+  const storeSession = useCallback((newToken, newRefreshToken) => {
+    localStorage.setItem('adminToken', newToken);
+    if (newRefreshToken) {
+      localStorage.setItem('adminRefreshToken', newRefreshToken);
+    }
+    axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+  }, []);
 
   const logout = useCallback(() => {
     localStorage.removeItem('adminToken');
+    localStorage.removeItem('adminRefreshToken');
     delete axios.defaults.headers.common['Authorization'];
+    if (reloginRef.current) {
+      reloginRef.current.reject(new Error('Logged out'));
+      reloginRef.current = null;
+    }
+    setSessionExpired(false);
     setToken(null);
     setUser(null);
   }, []);
 
+  // A 401 mid-session first tries the refresh token; if that fails the user is
+  // asked to log in again over the current screen, and the request is retried
+  // afterwards, so whatever they were editing is kept.
+  useEffect(() => {
+    const refreshSession = async () => {
+      const refreshToken = localStorage.getItem('adminRefreshToken');
+      if (!refreshToken) {
+        throw new Error('No refresh token');
+      }
+      const response = await axios.post(`${API_URL}/auth/refresh`, { refreshToken }, { skipAuthRecovery: true });
+      storeSession(response.data.token, response.data.refreshToken);
+    };
+
+    const waitForRelogin = () => {
+      if (!reloginRef.current) {
+        const pending = {};
+        pending.promise = new Promise((resolve, reject) => {
+          pending.resolve = resolve;
+          pending.reject = reject;
+        });
+        reloginRef.current = pending;
+        setSessionExpired(true);
+      }
+      return reloginRef.current.promise;
+    };
+
+    const interceptor = axios.interceptors.response.use(undefined, async (error) => {
+      const { config, response } = error;
+      if (response?.status !== 401 || !config || config.skipAuthRecovery || config.authRetried) {
+        throw error;
+      }
+
+      try {
+        if (!refreshRef.current) {
+          refreshRef.current = refreshSession().finally(() => { refreshRef.current = null; });
+        }
+        await refreshRef.current;
+      } catch (refreshError) {
+        // Without a loaded user this is the startup check; let it fall through to the login page
+        if (!userRef.current) {
+          throw error;
+        }
+        await waitForRelogin();
+      }
+
+      config.authRetried = true;
+      config.headers.Authorization = axios.defaults.headers.common['Authorization'];
+      return axios(config);
+    });
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [storeSession]);
+
   const fetchUser = useCallback(async () => {
     try {
       const response = await axios.get(`${API_URL}/auth/me`);
@@ -48,11 +228,10 @@ function AuthProvider({ children }) {
 
   const login = async (username, password) => {
     try {
-      const response = await axios.post(`${API_URL}/auth/login`, { username, password });
-      const { token: newToken, user: userData } = response.data;
+      const response = await axios.post(`${API_URL}/auth/login`, { username, password }, { skipAuthRecovery: true });
+      const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
       
-      localStorage.setItem('adminToken', newToken);
-      axios.defaults.headers.common['Authorization'] = `Bearer ${newToken}`;
+      storeSession(newToken, newRefreshToken);
       
       setToken(newToken);
       setUser(userData);
@@ -63,24 +242,154 @@ function AuthProvider({ children }) {
     }
   };
 
+  const updateUser = useCallback((changes) => {
+    setUser((currentUser) => (currentUser ? { ...currentUser, ...changes } : currentUser));
+  }, []);
+
+  const relogin = async (password) => {
+    try {
+      const response = await axios.post(
+        `${API_URL}/auth/login`,
+        { username: user.username, password },
+        { skipAuthRecovery: true }
+      );
+      const { token: newToken, refreshToken: newRefreshToken, user: userData } = response.data;
+      storeSession(newToken, newRefreshToken);
+      setUser(userData);
+      setSessionExpired(false);
+      reloginRef.current?.resolve();
+      reloginRef.current = null;
+      return { success: true };
+    } catch (error) {
+      return { success: false, message: error.response?.data?.message || 'Login failed' };
+    }
+  };
+
 
   return (
-    <AuthContext.Provider value={{ user, login, logout, loading }}>
+    <AuthContext.Provider value={{ user, login, logout, loading, updateUser }}>
       {children}
+      {sessionExpired && user && (
+        <SessionExpiredModal username={user.username} onLogin={relogin} onLogout={logout} />
+      )}
     </AuthContext.Provider>
   );
 }
 
+function SessionExpiredModal({ username, onLogin, onLogout }) {
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    const result = await onLogin(password);
+    if (!result.success) {
+      setError(result.message);
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[70] p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-md">
+        <h2 className="text-2xl font-bold text-gray-800">Session expired</h2>
+        <p className="text-gray-600 mt-2 mb-6">
+          Log in again to continue. Your unsaved changes are kept and the last action will be retried.
+        </p>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username</label>
+            <input
+              type="text"
+              value={username}
+              readOnly
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg bg-gray-100 text-gray-600"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              required
+              autoFocus
+            />
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">
+              {error}
+            </div>
+          )}
+
+          <div className="flex gap-4">
+            <button
+              type="submit"
+              disabled={loading}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-blue-600 transition-all disabled:opacity-50"
+            >
+              {loading ? 'Logging in...' : 'Log In'}
+            </button>
+            <button
+              type="button"
+              onClick={onLogout}
+              disabled={loading}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all"
+            >
+              Log Out
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
 function useAuth() {
   return useContext(AuthContext);
 }
 
+// Roles and what each may change. Unknown roles get no permissions, i.e. read-only.
+const ROLES = [
+  { id: 'admin', label: 'Administrator' },
+  { id: 'catalogue_editor', label: 'Catalogue Editor' },
+  { id: 'pricing_manager', label: 'Pricing Manager' },
+  { id: 'viewer', label: 'Viewer' }
+];
+const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  catalogue_editor: ['products.edit', 'products.delete', 'products.import', 'categories.edit', 'categories.delete', 'media.manage', 'inventory.adjust'],
+  pricing_manager: ['products.price', 'rates.edit'],
+  viewer: []
+};
+
+const roleLabel = (role) => ROLES.find((entry) => entry.id === role)?.label || role;
+
+const hasPermission = (user, permission) => {
+  const granted = ROLE_PERMISSIONS[user?.role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+function usePermissions() {
+  const { user } = useAuth();
+  return useCallback((permission) => hasPermission(user, permission), [user]);
+}
+
 // Main App
 export default function AdminApp() {
   return (
-    <AuthProvider>
-      <AppContent />
-    </AuthProvider>
+    <BrowserRouter>
+      <AuthProvider>
+        <AppContent />
+      </AuthProvider>
+    </BrowserRouter>
   );
 }
 
@@ -102,6 +411,10 @@ function AppContent() {
     return <LoginPage />;
   }
 
+  if (user.mustChangePassword) {
+    return <ForcePasswordChangePage />;
+  }
+
   return <Dashboard />;
 }
 
@@ -173,10 +486,6 @@ function LoginPage() {
             {loading ? 'Logging in...' : 'Login'}
           </button>
         </form>
-
-        <div className="mt-6 text-center text-sm text-gray-600">
-          <p>Default: admin / admin123</p>
-        </div>
       </div>
     </div>
   );
@@ -185,32 +494,54 @@ function LoginPage() {
 // Dashboard
 function Dashboard() {
   const { user, logout } = useAuth();
-  const [currentView, setCurrentView] = useState('dashboard');
 
   return (
     <div className="flex h-screen bg-gray-100">
-      <Sidebar currentView={currentView} setCurrentView={setCurrentView} user={user} logout={logout} />
+      <Sidebar user={user} logout={logout} />
       
       <div className="flex-1 overflow-auto">
         <div className="p-8">
-          {currentView === 'dashboard' && <DashboardView />}
-          {currentView === 'products' && <ProductsView />}
-          {currentView === 'categories' && <CategoriesView />}
-          {currentView === 'settings' && <SettingsView />}
+          <Routes>
+            <Route path="/" element={<DashboardView />} />
+            <Route path="/products/*" element={<ProductsView />} />
+            <Route path="/categories/*" element={<CategoriesView />} />
+            <Route path="/media" element={<RequirePermission permission="media.manage"><MediaView /></RequirePermission>} />
+            <Route path="/inventory" element={<InventoryView />} />
+            <Route path="/promotions/*" element={<PromotionsView />} />
+            <Route path="/quality/*" element={<QualityView />} />
+            <Route path="/activity" element={<ActivityView />} />
+            <Route path="/users/*" element={<RequirePermission permission="users.manage"><UsersView /></RequirePermission>} />
+            <Route path="/settings" element={<SettingsView />} />
+            <Route path="*" element={<Navigate to="/" replace />} />
+          </Routes>
         </div>
       </div>
     </div>
   );
 }
 
+// Sends users without the permission back to the dashboard instead of rendering the route
+function RequirePermission({ permission, redirectTo = '/', children }) {
+  const can = usePermissions();
+  return can(permission) ? children : <Navigate to={redirectTo} replace />;
+}
+
 // Sidebar
-function Sidebar({ currentView, setCurrentView, user, logout }) {
+function Sidebar({ user, logout }) {
+  const can = usePermissions();
+  const [showChangePassword, setShowChangePassword] = useState(false);
   const menuItems = [
-    { id: 'dashboard', label: 'Dashboard', icon: '📊' },
-    { id: 'products', label: 'Products', icon: '📦' },
-    { id: 'categories', label: 'Categories', icon: '🏷️' },
-    { id: 'settings', label: 'Settings', icon: '⚙️' },
-  ];
+    { path: '/', label: 'Dashboard', icon: '📊', end: true },
+    { path: '/products', label: 'Products', icon: '📦' },
+    { path: '/categories', label: 'Categories', icon: '🏷️' },
+    { path: '/media', label: 'Media', icon: '🖼️', permission: 'media.manage' },
+    { path: '/inventory', label: 'Inventory', icon: '📋' },
+    { path: '/promotions', label: 'Promotions', icon: '💸' },
+    { path: '/quality', label: 'Data Quality', icon: '🩺' },
+    { path: '/activity', label: 'Activity', icon: '📝' },
+    { path: '/users', label: 'Users', icon: '👥', permission: 'users.manage' },
+    { path: '/settings', label: 'Settings', icon: '⚙️' },
+  ].filter((item) => !item.permission || can(item.permission));
 
   return (
     <div className="w-64 bg-gray-900 text-white flex flex-col">
@@ -219,22 +550,30 @@ function Sidebar({ currentView, setCurrentView, user, logout }) {
         <div className="bg-gray-800 rounded-lg p-3">
           <p className="text-xs text-gray-400">Logged in as</p>
           <p className="font-medium">{user.username}</p>
-          <p className="text-xs text-gray-400 capitalize">{user.role}</p>
+          <p className="text-xs text-gray-400">{roleLabel(user.role)}</p>
+          <button
+            onClick={() => setShowChangePassword(true)}
+            className="mt-2 text-xs text-blue-300 hover:text-blue-200"
+          >
+            Change password
+          </button>
         </div>
+        {showChangePassword && <ChangePasswordModal onClose={() => setShowChangePassword(false)} />}
       </div>
 
       <nav className="flex-1">
         {menuItems.map((item) => (
-          <button
-            key={item.id}
-            onClick={() => setCurrentView(item.id)}
-            className={`w-full px-6 py-3 text-left flex items-center gap-3 transition-colors ${
-              currentView === item.id ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-800'
+          <NavLink
+            key={item.path}
+            to={item.path}
+            end={item.end}
+            className={({ isActive }) => `w-full px-6 py-3 text-left flex items-center gap-3 transition-colors ${
+              isActive ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-800'
             }`}
           >
             <span className="text-xl">{item.icon}</span>
             <span>{item.label}</span>
-          </button>
+          </NavLink>
         ))}
       </nav>
 
@@ -250,13 +589,22 @@ function Sidebar({ currentView, setCurrentView, user, logout }) {
 }
 
 // Dashboard View
+const RATE_TREND_VERSIONS = 20;
+
+// The figures are computed by the API, so the dashboard never downloads the product list
+const loadProductStats = async () => {
+  const response = await axios.get(`${API_URL}/products/stats`, noCacheConfig());
+  return response.data;
+};
+
 function DashboardView() {
-  const [stats, setStats] = useState({
-    totalProducts: 0,
-    totalCategories: 0,
-    inStock: 0,
-    outOfStock: 0
-  });
+  const navigate = useNavigate();
+  const can = usePermissions();
+  const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState('');
+  const [categories, setCategories] = useState([]);
+  const [rateHistory, setRateHistory] = useState([]);
+  const [currencies, setCurrencies] = useState(DEFAULT_CURRENCIES);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
@@ -264,19 +612,28 @@ function DashboardView() {
   }, []);
 
   const loadStats = async () => {
+    setStatsError('');
     try {
-      const [productsRes, categoriesRes] = await Promise.all([
-        axios.get(`${API_URL}/products`),
-        axios.get(`${API_URL}/categories`)
+      const [productStats, categoriesRes, historyRes, currencyList] = await Promise.all([
+        // The rest of the dashboard still works without the product figures
+        loadProductStats().catch((error) => {
+          console.error('Error loading product stats:', error);
+          setStatsError(error.response?.status === 404
+            ? 'Product figures are not available: the API does not provide GET /api/products/stats.'
+            : apiErrorMessage(error, 'Could not load the product figures.'));
+          return null;
+        }),
+        axios.get(`${API_URL}/categories`),
+        axios.get(`${API_URL}/settings/exchange-rates/history`, noCacheConfig()).catch((error) => {
+          console.error('Error loading rate history:', error);
+          return { data: { history: [] } };
+        }),
+        loadCurrencies()
       ]);
-      
-      const products = productsRes.data.products || [];
-      setStats({
-        totalProducts: products.length,
-        totalCategories: categoriesRes.data.categories?.length || 0,
-        inStock: products.filter(p => p.inStock).length,
-        outOfStock: products.filter(p => !p.inStock).length
-      });
+      setStats(productStats);
+      setCategories(categoriesRes.data.categories || []);
+      setRateHistory(historyRes.data.history || []);
+      setCurrencies(currencyList);
     } catch (error) {
       console.error('Error loading stats:', error);
     } finally {
@@ -288,118 +645,766 @@ function DashboardView() {
     return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
   }
 
+  if (!stats && !statsError) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        Could not load the dashboard. <button onClick={loadStats} className="text-blue-600 hover:text-blue-800 font-medium">Retry</button>
+      </div>
+    );
+  }
+
+  const quickActions = [
+    { label: 'Add Product', description: 'Create new product', icon: '➕', color: 'blue', path: '/products/new', permission: 'products.edit' },
+    { label: 'Add Category', description: 'Create new category', icon: '🏷️', color: 'purple', path: '/categories/new', permission: 'categories.edit' },
+    { label: 'Update Rates', description: 'Currency exchange rates', icon: '💱', color: 'green', path: '/settings', permission: 'rates.edit' }
+  ].filter((action) => can(action.permission));
+  const actionColors = {
+    blue: 'border-blue-200 hover:bg-blue-50',
+    purple: 'border-purple-200 hover:bg-purple-50',
+    green: 'border-green-200 hover:bg-green-50'
+  };
+
   return (
     <div>
       <h1 className="text-3xl font-bold text-gray-800 mb-8">Dashboard Overview</h1>
 
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
-        <StatCard title="Total Products" value={stats.totalProducts} color="blue" icon="📦" />
-        <StatCard title="Categories" value={stats.totalCategories} color="purple" icon="🏷️" />
-        <StatCard title="In Stock" value={stats.inStock} color="green" icon="✅" />
-        <StatCard title="Out of Stock" value={stats.outOfStock} color="red" icon="❌" />
-      </div>
+      {stats ? (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6">
+          <StatCard title="Total Products" value={stats.totalProducts} color="blue" icon="📦" onClick={() => navigate('/products')} />
+          <StatCard title="Categories" value={categories.length} color="purple" icon="🏷️" onClick={() => navigate('/categories')} />
+          <StatCard title="In Stock" value={stats.inStock} color="green" icon="✅" onClick={() => navigate('/products?stock=in')} />
+          <StatCard title="Out of Stock" value={stats.outOfStock} color="red" icon="❌" onClick={() => navigate('/inventory?show=out')} />
+          <StatCard title="Featured" value={stats.featured} color="yellow" icon="⭐" onClick={() => navigate('/products?featured=yes')} />
+        </div>
+      ) : (
+        <div className="bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg">
+          {statsError} <button onClick={loadStats} className="font-medium underline">Retry</button>
+        </div>
+      )}
 
-      <div className="mt-8 bg-white p-6 rounded-lg shadow-lg">
-        <h2 className="text-xl font-bold mb-4">Quick Actions</h2>
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <button className="p-4 border-2 border-blue-200 rounded-lg hover:bg-blue-50 transition-colors text-left">
-            <div className="text-2xl mb-2">➕</div>
-            <div className="font-semibold">Add Product</div>
-            <div className="text-sm text-gray-600">Create new product</div>
-          </button>
-          <button className="p-4 border-2 border-purple-200 rounded-lg hover:bg-purple-50 transition-colors text-left">
-            <div className="text-2xl mb-2">🏷️</div>
-            <div className="font-semibold">Add Category</div>
-            <div className="text-sm text-gray-600">Create new category</div>
-          </button>
-          <button className="p-4 border-2 border-green-200 rounded-lg hover:bg-green-50 transition-colors text-left">
-            <div className="text-2xl mb-2">💱</div>
-            <div className="font-semibold">Update Rates</div>
-            <div className="text-sm text-gray-600">Currency exchange rates</div>
-          </button>
+      {quickActions.length > 0 && (
+        <div className="mt-8 bg-white p-6 rounded-lg shadow-lg">
+          <h2 className="text-xl font-bold mb-4">Quick Actions</h2>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            {quickActions.map((action) => (
+              <button
+                key={action.path}
+                onClick={() => navigate(action.path)}
+                className={`p-4 border-2 rounded-lg transition-colors text-left ${actionColors[action.color]}`}
+              >
+                <div className="text-2xl mb-2">{action.icon}</div>
+                <div className="font-semibold">{action.label}</div>
+                <div className="text-sm text-gray-600">{action.description}</div>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="mt-8 grid grid-cols-1 lg:grid-cols-2 gap-6">
+        {stats && (
+          <>
+            <DashboardPanel title="Products per Category">
+              <CategoryDistribution stats={stats} categories={categories} onSelect={(categoryId) => navigate(`/products?categoryId=${categoryId}`)} />
+            </DashboardPanel>
+
+            <DashboardPanel title="Stock Distribution">
+              <StockDistribution stats={stats} onSelect={(show) => navigate(`/inventory?show=${show}`)} />
+            </DashboardPanel>
+
+            <DashboardPanel title="Recently Edited">
+              <ProductLinkList
+                products={stats.recentlyUpdated || []}
+                empty="No edits yet."
+                detail={(product) => `${formatDateTime(product.updatedAt)}${product.updatedBy ? ` by ${formatUserName(product.updatedBy)}` : ''}`}
+              />
+            </DashboardPanel>
+
+            <DashboardPanel title="Needs Attention">
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">Missing images ({stats.missingImages?.count || 0})</h3>
+              <ProductLinkList products={stats.missingImages?.products || []} empty="Every product has an image." />
+              <h3 className="text-sm font-semibold text-gray-700 mt-4 mb-2">Missing descriptions ({stats.missingDescriptions?.count || 0})</h3>
+              <ProductLinkList products={stats.missingDescriptions?.products || []} empty="Every product has a description." />
+              <Link to="/quality" className="inline-block mt-4 text-sm text-blue-600 hover:text-blue-800 font-medium">
+                Full data quality report →
+              </Link>
+            </DashboardPanel>
+          </>
+        )}
+
+        <div className="lg:col-span-2">
+          <DashboardPanel title="Exchange Rate Trend">
+            <RateTrendChart history={rateHistory} currencies={enabledCurrencies(currencies)} />
+          </DashboardPanel>
         </div>
       </div>
     </div>
   );
 }
 
-function StatCard({ title, value, color, icon }) {
+function DashboardPanel({ title, children }) {
+  return (
+    <div className="bg-white p-6 rounded-lg shadow-lg h-full">
+      <h2 className="text-xl font-bold mb-4">{title}</h2>
+      {children}
+    </div>
+  );
+}
+
+// Product names linking to their edit modal, with an optional detail line
+function ProductLinkList({ products, empty, detail }) {
+  if (products.length === 0) {
+    return <p className="text-sm text-gray-500">{empty}</p>;
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {products.map((product) => (
+        <li key={product._id} className="py-2 flex justify-between gap-3 text-sm">
+          <Link to={`/products/${product._id}/edit`} className="text-blue-600 hover:text-blue-800 font-medium truncate">
+            {product.name}
+          </Link>
+          {detail && <span className="text-gray-500 whitespace-nowrap">{detail(product)}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Entries linked by id and older ones matched by name are merged per category record
+function CategoryDistribution({ stats, categories, onSelect }) {
+  const rows = Array.from((stats.byCategory || []).reduce((merged, entry) => {
+    const category = findProductCategory(categories, entry);
+    const key = category ? category._id : `name:${normalizeCategoryName(entry.category)}`;
+    const row = merged.get(key) || {
+      key,
+      categoryId: category?._id,
+      name: category?.name || entry.category || 'Uncategorised',
+      icon: category?.icon,
+      count: 0
+    };
+    return merged.set(key, { ...row, count: row.count + entry.count });
+  }, new Map()).values())
+    .sort((a, b) => b.count - a.count);
+  const max = Math.max(1, ...rows.map((row) => row.count));
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500">No products yet.</p>;
+  }
+
+  return (
+    <div className="space-y-2">
+      {rows.map((row) => (
+        <button
+          key={row.key}
+          onClick={() => onSelect(row.categoryId)}
+          disabled={!row.categoryId}
+          className="w-full text-left group disabled:cursor-default"
+        >
+          <div className="flex justify-between text-sm mb-1">
+            <span className="group-hover:text-blue-700">{row.icon} {row.name}</span>
+            <span className="text-gray-600">{row.count}</span>
+          </div>
+          <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+            <div className="h-full bg-purple-500 rounded-full" style={{ width: `${(row.count / max) * 100}%` }} />
+          </div>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Low-stock products show as out of stock (see deriveInStock), so they are split off the out-of-stock count
+function StockDistribution({ stats, onSelect }) {
+  const lowStock = stats.lowStock || 0;
+  const segments = [
+    { id: 'in', label: 'In stock', count: stats.inStock, className: 'bg-green-500' },
+    { id: 'low', label: 'Low stock', count: lowStock, className: 'bg-yellow-400', show: 'runningLow' },
+    { id: 'out', label: 'Out of stock', count: stats.outOfStock - lowStock, className: 'bg-red-500', show: 'out' }
+  ];
+  const total = Math.max(1, stats.totalProducts);
+
+  return (
+    <div>
+      <div className="h-6 flex rounded-full overflow-hidden bg-gray-100">
+        {segments.map((segment) => segment.count > 0 && (
+          <div
+            key={segment.id}
+            className={segment.className}
+            style={{ width: `${(segment.count / total) * 100}%` }}
+            title={`${segment.label}: ${segment.count}`}
+          />
+        ))}
+      </div>
+      <div className="mt-4 space-y-2">
+        {segments.map((segment) => (
+          <div key={segment.id} className="flex items-center justify-between text-sm">
+            <span className="flex items-center gap-2">
+              <span className={`w-3 h-3 rounded-full ${segment.className}`} />
+              {segment.show ? (
+                <button onClick={() => onSelect(segment.show)} className="text-blue-600 hover:text-blue-800">{segment.label}</button>
+              ) : segment.label}
+            </span>
+            <span className="text-gray-600">
+              {segment.count} ({Math.round((segment.count / total) * 100)}%)
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Line chart of one currency's global rate across the saved rate versions
+function RateTrendChart({ history, currencies }) {
+  const options = currencies.filter((currency) => currency.code !== BASE_CURRENCY);
+  const [code, setCode] = useState(options[0]?.code || '');
+  const points = history
+    .slice(0, RATE_TREND_VERSIONS)
+    .reverse()
+    .filter((version) => typeof version.rates?.[code] === 'number')
+    .map((version) => ({ version: version.version, updatedAt: version.updatedAt, rate: version.rates[code] }));
+
+  const width = 600;
+  const height = 160;
+  const padding = 8;
+  const rates = points.map((point) => point.rate);
+  const min = Math.min(...rates);
+  const max = Math.max(...rates);
+  const x = (index) => padding + (points.length > 1 ? (index / (points.length - 1)) * (width - padding * 2) : (width - padding * 2) / 2);
+  const y = (rate) => padding + (max === min ? (height - padding * 2) / 2 : ((max - rate) / (max - min)) * (height - padding * 2));
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <select
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          {options.map((currency) => <option key={currency.code} value={currency.code}>{currency.code} — {currency.name}</option>)}
+        </select>
+        {points.length > 0 && (
+          <div className="text-sm text-gray-600">
+            Current {points[points.length - 1].rate} · low {min} · high {max}
+          </div>
+        )}
+      </div>
+      {points.length < 2 ? (
+        <p className="text-sm text-gray-500">Not enough saved rate versions to show a trend yet.</p>
+      ) : (
+        <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-auto">
+          <polyline
+            fill="none"
+            stroke="#2563eb"
+            strokeWidth="2"
+            points={points.map((point, index) => `${x(index)},${y(point.rate)}`).join(' ')}
+          />
+          {points.map((point, index) => (
+            <circle key={point.version} cx={x(index)} cy={y(point.rate)} r="3" fill="#2563eb">
+              <title>{`v${point.version} (${formatDateTime(point.updatedAt)}): ${point.rate}`}</title>
+            </circle>
+          ))}
+        </svg>
+      )}
+    </div>
+  );
+}
+
+function StatCard({ title, value, color, icon, onClick }) {
   const colors = {
     blue: 'bg-blue-500',
     purple: 'bg-purple-500',
     green: 'bg-green-500',
-    red: 'bg-red-500'
+    red: 'bg-red-500',
+    yellow: 'bg-yellow-500'
   };
 
   return (
-    <div className={`${colors[color]} text-white p-6 rounded-lg shadow-lg`}>
+    <div
+      onClick={onClick}
+      className={`${colors[color]} text-white p-6 rounded-lg shadow-lg ${onClick ? 'cursor-pointer hover:shadow-xl transition-shadow' : ''}`}
+    >
       <div className="flex items-center justify-between mb-2">
         <div className="text-3xl font-bold">{value}</div>
         <div className="text-3xl">{icon}</div>
       </div>
-      <div className="text-sm opacity-90">{title}</div>
+      <div className="text-sm opacity-90">{title}{onClick && ' →'}</div>
     </div>
   );
 }
 
 // Products View
-function ProductsView() {
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [showForm, setShowForm] = useState(false);
-  const [editingProduct, setEditingProduct] = useState(null);
-
-  useEffect(() => {
-    loadProducts();
-  }, []);
+const PRODUCT_PAGE_SIZES = [10, 25, 50, 100];
+const ALL_PRICES_STORAGE_KEY = 'productsShowAllPrices';
+const PRODUCT_QUERY_DEFAULTS = {
+  search: '',
+  categoryId: '',
+  stock: '',
+  featured: '',
+  rates: '',
+  sort: 'name',
+  order: 'asc',
+  page: 1,
+  limit: 25
+};
 
-  const loadProducts = async () => {
-    try {
-      const response = await axios.get(`${API_URL}/products`, noCacheConfig());
-      setProducts(response.data.products || []);
-    } catch (error) {
-      console.error('Error loading products:', error);
-      setProducts([]);
-    } finally {
-      setLoading(false);
+// The products toolbar state lives in the URL query so filtered views can be bookmarked
+const readProductQuery = (searchParams) => {
+  const query = { ...PRODUCT_QUERY_DEFAULTS };
+  Object.keys(PRODUCT_QUERY_DEFAULTS).forEach((key) => {
+    const value = searchParams.get(key);
+    if (value !== null && value !== '') {
+      query[key] = typeof PRODUCT_QUERY_DEFAULTS[key] === 'number' ? Number(value) || PRODUCT_QUERY_DEFAULTS[key] : value;
     }
+  });
+  return query;
+};
+
+const productQueryParams = ({ search, categoryId, stock, featured, rates, sort, order, page, limit }) => ({
+  ...(search && { search }),
+  ...(categoryId && { categoryId }),
+  ...(stock && { inStock: stock === 'in' }),
+  ...(featured && { featured: featured === 'yes' }),
+  ...(rates && { rateOverrides: rates }),
+  sort,
+  order,
+  page,
+  limit
+});
+
+// Products reference their category record by `categoryId`. `category` keeps the
+// record's name, which the storefront and the name-based filters read.
+const NEW_CATEGORY = '__new';
+const normalizeCategoryName = (name) => String(name ?? '').trim().toLowerCase();
+const categoryReference = (category) => ({ categoryId: category._id, category: category.name });
+
+// Falls back to the name for products saved before categories were linked by id
+const findProductCategory = (categories, product) => categories.find((category) => category._id === product.categoryId)
+  || categories.find((category) => normalizeCategoryName(category.name) === normalizeCategoryName(product.category));
+
+// The products findProductCategory puts in `category`. The API's categoryId filter also
+// returns unlinked products carrying the category's name; the check here drops any
+// product that is linked elsewhere.
+const fetchCategoryProducts = async (category, categories) => (await fetchAllProducts({ categoryId: category._id }))
+  .filter((product) => findProductCategory(categories, product)?._id === category._id);
+
+// Category tree. Categories point at their parent with `parentId` (null at the
+// top level) and are ordered among their siblings by `order`.
+const compareCategories = (a, b) => (a.order ?? 0) - (b.order ?? 0) || a.name.localeCompare(b.name);
+
+// Depth-first display order. Categories whose parent no longer exists show at the top level.
+const flattenCategoryTree = (categories) => {
+  const ids = new Set(categories.map((category) => category._id));
+  const children = new Map();
+  categories.forEach((category) => {
+    const parentId = ids.has(category.parentId) ? category.parentId : null;
+    children.set(parentId, [...(children.get(parentId) || []), category]);
+  });
+
+  const rows = [];
+  const visited = new Set();
+  const visit = (category, depth) => {
+    if (visited.has(category._id)) return;
+    visited.add(category._id);
+    rows.push({ category, depth });
+    (children.get(category._id) || []).sort(compareCategories).forEach((child) => visit(child, depth + 1));
   };
+  (children.get(null) || []).sort(compareCategories).forEach((category) => visit(category, 0));
+  // Only reachable if stored data already contains a cycle; still list those categories
+  categories.filter((category) => !visited.has(category._id)).forEach((category) => visit(category, 0));
+  return rows;
+};
 
-  const deleteProduct = async (id) => {
-    if (window.confirm('Delete this product?')) {
-      try {
-        await axios.delete(`${API_URL}/products/${id}`);
-        loadProducts();
-      } catch (error) {
-        console.error('Error deleting product:', error);
-        alert('Error deleting product');
-      }
+// Root first, ending with the category itself
+const categoryAncestors = (categories, category) => {
+  const path = [];
+  const seen = new Set();
+  for (let current = category; current && !seen.has(current._id); current = categories.find((item) => item._id === current.parentId)) {
+    seen.add(current._id);
+    path.unshift(current);
+  }
+  return path;
+};
+
+// True when `categoryId` is `ancestorId` itself or anywhere below it
+const isWithinCategory = (categories, categoryId, ancestorId) => categoryAncestors(
+  categories,
+  categories.find((category) => category._id === categoryId)
+).some((category) => category._id === ancestorId);
+
+// "Office › Desks › Standing desks" for a product's category
+function CategoryBreadcrumb({ categories, product }) {
+  const category = findProductCategory(categories, product);
+  if (!category) {
+    return <span className="capitalize">{product.category}</span>;
+  }
+
+  const path = categoryAncestors(categories, category);
+  return (
+    <span>
+      {category.icon}{' '}
+      {path.map((item, index) => (
+        <span key={item._id} className={index === path.length - 1 ? 'text-gray-900' : 'text-gray-500'}>
+          {index > 0 && <span className="text-gray-400"> › </span>}
+          {item.name}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+// <option>s in tree order, indented by depth
+function CategoryOptions({ categories, exclude = () => false }) {
+  return flattenCategoryTree(categories)
+    .filter(({ category }) => !exclude(category))
+    .map(({ category, depth }) => (
+      <option key={category._id} value={category._id}>
+        {'\u00A0\u00A0\u00A0'.repeat(depth)}{category.icon} {category.name}
+      </option>
+    ));
+}
+
+// Pages through GET /products so callers get the complete matching set
+const fetchAllProducts = async (params = {}) => {
+  const limit = 100;
+  const products = [];
+  for (let page = 1; ; page += 1) {
+    const config = noCacheConfig();
+    config.params = { ...config.params, ...params, page, limit };
+    const response = await axios.get(`${API_URL}/products`, config);
+    const items = response.data.products || [];
+    products.push(...items);
+    if (items.length < limit || products.length >= (response.data.total ?? products.length)) {
+      return products;
     }
-  };
+  }
+};
 
-  if (loading) {
-    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+// One page of GET /products for lists that page on the server
+const fetchProductPage = async (params) => {
+  const config = noCacheConfig();
+  config.params = { ...config.params, ...params };
+  const response = await axios.get(`${API_URL}/products`, config);
+  const products = response.data.products || [];
+  return { products, total: response.data.total ?? products.length };
+};
+
+// Previous/next under a server-paged list; hidden while everything fits on one page
+function PageControls({ page, total, pageSize, onPage, noun = 'products' }) {
+  const pageCount = Math.max(1, Math.ceil(total / pageSize));
+  if (total <= pageSize) {
+    return null;
   }
 
   return (
-    <div>
-      <div className="flex justify-between items-center mb-8">
-        <h1 className="text-3xl font-bold text-gray-800">Products Management</h1>
+    <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+      <span>Page {page} of {pageCount} · {total} {noun}</span>
+      <div className="flex gap-2">
         <button
-          onClick={() => { setEditingProduct(null); setShowForm(true); }}
-          className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+          type="button"
+          onClick={() => onPage(page - 1)}
+          disabled={page <= 1}
+          className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+        >
+          Previous
+        </button>
+        <button
+          type="button"
+          onClick={() => onPage(page + 1)}
+          disabled={page >= pageCount}
+          className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
         >
-          + Add Product
+          Next
         </button>
       </div>
+    </div>
+  );
+}
 
-      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+function ProductsView() {
+  const can = usePermissions();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [products, setProducts] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [globalRates, setGlobalRates] = useState(DEFAULT_EXCHANGE_RATES);
+  const [currencies, setCurrencies] = useState(DEFAULT_CURRENCIES);
+  const [showAllPrices, setShowAllPrices] = useState(() => localStorage.getItem(ALL_PRICES_STORAGE_KEY) === 'true');
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [fetching, setFetching] = useState(false);
+  const queryString = searchParams.toString();
+  const query = readProductQuery(searchParams);
+  const [searchInput, setSearchInput] = useState(query.search);
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [selectAllMatching, setSelectAllMatching] = useState(false);
+  const [bulkAction, setBulkAction] = useState(null);
+  const latestRequest = useRef(0);
+
+  const loadProducts = useCallback(async () => {
+    const requestId = ++latestRequest.current;
+    const config = noCacheConfig();
+    config.params = { ...config.params, ...productQueryParams(readProductQuery(new URLSearchParams(queryString))) };
+
+    setFetching(true);
+    try {
+      const response = await axios.get(`${API_URL}/products`, config);
+      if (requestId !== latestRequest.current) return;
+      const items = response.data.products || [];
+      setProducts(items);
+      setTotal(response.data.total ?? items.length);
+    } catch (error) {
+      if (requestId !== latestRequest.current) return;
+      console.error('Error loading products:', error);
+      setProducts([]);
+      setTotal(0);
+    } finally {
+      if (requestId === latestRequest.current) {
+        setLoading(false);
+        setFetching(false);
+      }
+    }
+  }, [queryString]);
+
+  useEffect(() => {
+    loadProducts();
+  }, [loadProducts]);
+
+  // A selection only makes sense for the result set it was made in
+  useEffect(() => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+  }, [queryString]);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/categories`)
+      .then((response) => setCategories(response.data.categories || []))
+      .catch((error) => console.error('Error loading categories:', error));
+    loadGlobalRates().then(setGlobalRates);
+    loadCurrencies().then(setCurrencies);
+  }, []);
+
+  const toggleAllPrices = (show) => {
+    setShowAllPrices(show);
+    localStorage.setItem(ALL_PRICES_STORAGE_KEY, String(show));
+  };
+
+  const updateQuery = useCallback((changes) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      Object.entries({ page: 1, ...changes }).forEach(([key, value]) => {
+        if (value === '' || value === null || value === undefined || String(value) === String(PRODUCT_QUERY_DEFAULTS[key])) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      return next;
+    });
+  }, [setSearchParams]);
+
+  // Keep the search box in sync when the URL changes (back button, pasted link)
+  useEffect(() => {
+    setSearchInput(query.search);
+  }, [query.search]);
+
+  useEffect(() => {
+    if (searchInput === query.search) return undefined;
+    const timer = setTimeout(() => updateQuery({ search: searchInput }), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, query.search, updateQuery]);
+
+  const toggleSort = (field) => {
+    updateQuery({
+      sort: field,
+      order: query.sort === field && query.order === 'asc' ? 'desc' : 'asc'
+    });
+  };
+
+  const productsPath = (path = '') => ({ pathname: `/products${path}`, search: location.search });
+  const closeForm = () => navigate(productsPath());
+  const pageCount = Math.max(1, Math.ceil(total / query.limit));
+  const hasFilters = Boolean(query.search || query.categoryId || query.stock || query.featured || query.rates);
+
+  // Deleting the last rows of the final page would otherwise leave an empty page behind
+  useEffect(() => {
+    if (!fetching && total > 0 && query.page > pageCount) {
+      updateQuery({ page: pageCount });
+    }
+  }, [fetching, total, query.page, pageCount, updateQuery]);
+
+  const deleteProduct = async (product) => {
+    if (window.confirm('Delete this product?')) {
+      try {
+        await axios.delete(`${API_URL}/products/${product._id}`);
+        loadProducts();
+      } catch (error) {
+        console.error('Error deleting product:', error);
+        alert(apiErrorMessage(error, 'Error deleting product'));
+      }
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectAllMatching(false);
+    setSelectedIds((current) => {
+      const next = new Set(current);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const allOnPageSelected = products.length > 0 && products.every((product) => selectedIds.has(product._id));
+  const togglePageSelected = () => {
+    setSelectAllMatching(false);
+    setSelectedIds(allOnPageSelected ? new Set() : new Set(products.map((product) => product._id)));
+  };
+
+  const clearSelection = () => {
+    setSelectedIds(new Set());
+    setSelectAllMatching(false);
+  };
+
+  const selectionCount = selectAllMatching ? total : selectedIds.size;
+  const canBulkEdit = Object.values(BULK_ACTIONS).some((action) => can(action.permission));
+  const columnCount = canBulkEdit ? 7 : 6;
+
+  // Bulk actions need full product records (price adjustments depend on the current basePrice)
+  const resolveSelectedProducts = async () => {
+    if (!selectAllMatching) {
+      return products.filter((product) => selectedIds.has(product._id));
+    }
+    return fetchAllProducts(productQueryParams(query));
+  };
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Products Management</h1>
+        <div className="flex gap-3">
+          <ExportMenu onExport={(format) => exportProducts(format, productQueryParams(query))} />
+          {can('products.import') && (
+            <button
+              onClick={() => navigate(productsPath('/import'))}
+              className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all"
+            >
+              Import
+            </button>
+          )}
+          {can('products.edit') && (
+            <button
+              onClick={() => navigate(productsPath('/new'))}
+              className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+            >
+              + Add Product
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-4 mb-4 flex flex-wrap gap-3 items-center">
+        <input
+          type="search"
+          value={searchInput}
+          onChange={(e) => setSearchInput(e.target.value)}
+          className="flex-1 min-w-[16rem] px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          placeholder="Search name or description..."
+        />
+        <select
+          value={query.categoryId}
+          onChange={(e) => updateQuery({ categoryId: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All categories</option>
+          <CategoryOptions categories={categories} />
+        </select>
+        <select
+          value={query.stock}
+          onChange={(e) => updateQuery({ stock: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Any stock</option>
+          <option value="in">In stock</option>
+          <option value="out">Out of stock</option>
+        </select>
+        <select
+          value={query.featured}
+          onChange={(e) => updateQuery({ featured: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Featured or not</option>
+          <option value="yes">Featured only</option>
+          <option value="no">Not featured</option>
+        </select>
+        <select
+          value={query.rates}
+          onChange={(e) => updateQuery({ rates: e.target.value })}
+          className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">Any rates</option>
+          <option value="any">Overrides global rates</option>
+          <option value="stale">Stale rate overrides</option>
+        </select>
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={showAllPrices}
+            onChange={(e) => toggleAllPrices(e.target.checked)}
+            className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+          />
+          Prices in all currencies
+        </label>
+        {hasFilters && (
+          <button
+            onClick={() => { setSearchInput(''); updateQuery({ search: '', categoryId: '', stock: '', featured: '', rates: '' }); }}
+            className="text-sm text-gray-600 hover:text-gray-800 font-medium"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {selectionCount > 0 && (
+        <BulkActionBar
+          count={selectionCount}
+          total={total}
+          allOnPageSelected={allOnPageSelected}
+          selectAllMatching={selectAllMatching}
+          onSelectAllMatching={() => setSelectAllMatching(true)}
+          onClear={clearSelection}
+          categories={categories}
+          onAction={setBulkAction}
+        />
+      )}
+
+      <div className={`bg-white rounded-lg shadow-lg overflow-hidden transition-opacity ${fetching ? 'opacity-60' : ''}`}>
         <table className="w-full">
           <thead className="bg-gray-50 border-b">
             <tr>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Category</th>
-              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Base Price</th>
+              {canBulkEdit && (
+                <th className="pl-6 py-3 w-4">
+                  <input
+                    type="checkbox"
+                    checked={allOnPageSelected}
+                    onChange={togglePageSelected}
+                    className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                    aria-label="Select all products on this page"
+                  />
+                </th>
+              )}
+              <SortableHeader label="Product" field="name" query={query} onSort={toggleSort} />
+              <SortableHeader label="Category" field="category" query={query} onSort={toggleSort} />
+              <SortableHeader label="Base Price" field="basePrice" query={query} onSort={toggleSort} />
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Stock</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Featured</th>
               <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
@@ -408,19 +1413,30 @@ function ProductsView() {
           <tbody className="divide-y divide-gray-200">
             {products.length === 0 ? (
               <tr>
-                <td colSpan="6" className="px-6 py-8 text-center text-gray-500">
-                  No products yet. Click "Add Product" to create one.
+                <td colSpan={columnCount} className="px-6 py-8 text-center text-gray-500">
+                  {hasFilters ? 'No products match these filters.' : 'No products yet. Click "Add Product" to create one.'}
                 </td>
               </tr>
             ) : (
               products.map((product) => (
-                <tr key={product._id} className="hover:bg-gray-50">
+                <tr key={product._id} className={selectAllMatching || selectedIds.has(product._id) ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  {canBulkEdit && (
+                    <td className="pl-6 py-4">
+                      <input
+                        type="checkbox"
+                        checked={selectAllMatching || selectedIds.has(product._id)}
+                        onChange={() => toggleSelected(product._id)}
+                        className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                        aria-label={`Select ${product.name}`}
+                      />
+                    </td>
+                  )}
                   <td className="px-6 py-4">
                     <div className="flex items-start gap-3">
                       <div className="w-14 h-14 rounded-lg border border-gray-200 bg-gray-100 overflow-hidden flex-shrink-0">
                         {product.images?.[0] ? (
                           <img
-                            src={product.images[0]}
+                            src={product.thumbnails?.[product.images[0]] || product.images[0]}
                             alt={product.name}
                             className="w-full h-full object-cover"
                           />
@@ -436,11 +1452,33 @@ function ProductsView() {
                         <div className="text-xs text-gray-500 mt-1">
                           {product.images?.length ? `${product.images.length} image(s)` : '0 images'}
                         </div>
+                        {product.variants?.length > 0 && (
+                          <div className="text-xs text-blue-700 mt-1">{summarizeVariants(product)}</div>
+                        )}
+                        <RateOverrideSummary product={product} globalRates={globalRates} />
                       </div>
                     </div>
                   </td>
-                  <td className="px-6 py-4 capitalize">{product.category}</td>
-                  <td className="px-6 py-4 font-semibold">${product.basePrice}</td>
+                  <td className="px-6 py-4">
+                    <CategoryBreadcrumb categories={categories} product={product} />
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="font-semibold">${product.basePrice}</div>
+                    <SaleBadge product={product} />
+                    {showAllPrices && (
+                      <div className="mt-1 text-xs text-gray-600 whitespace-nowrap">
+                        {enabledCurrencies(currencies).filter((currency) => currency.code !== BASE_CURRENCY).map((currency) => {
+                          const rate = productRate(product, currency.code, globalRates);
+                          return (
+                            <div key={currency.code}>
+                              <span className="text-gray-400">{currency.code}</span>{' '}
+                              {rate === undefined ? '—' : formatMoney(convertPrice(product.basePrice, rate, currency), currency)}
+                            </div>
+                          );
+                        })}
+                      </div>
+                    )}
+                  </td>
                   <td className="px-6 py-4">
                     <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                       product.inStock ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
@@ -454,17 +1492,19 @@ function ProductsView() {
                   <td className="px-6 py-4">
                     <div className="flex gap-2">
                       <button
-                        onClick={() => { setEditingProduct(product); setShowForm(true); }}
+                        onClick={() => navigate(productsPath(`/${product._id}/edit`))}
                         className="text-blue-600 hover:text-blue-800 font-medium"
                       >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => deleteProduct(product._id)}
-                        className="text-red-600 hover:text-red-800 font-medium"
-                      >
-                        Delete
+                        {can('products.edit') || can('products.price') ? 'Edit' : 'View'}
                       </button>
+                      {can('products.delete') && (
+                        <button
+                          onClick={() => deleteProduct(product)}
+                          className="text-red-600 hover:text-red-800 font-medium"
+                        >
+                          Delete
+                        </button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -472,742 +1512,6811 @@ function ProductsView() {
             )}
           </tbody>
         </table>
+
+        <div className="border-t px-6 py-3 flex flex-wrap items-center justify-between gap-3 text-sm text-gray-600">
+          <div>
+            {total === 0
+              ? '0 products'
+              : `Showing ${(query.page - 1) * query.limit + 1}–${Math.min(query.page * query.limit, total)} of ${total}`}
+          </div>
+          <div className="flex items-center gap-3">
+            <label className="flex items-center gap-2">
+              Per page
+              <select
+                value={query.limit}
+                onChange={(e) => updateQuery({ limit: Number(e.target.value) })}
+                className="px-2 py-1 border border-gray-300 rounded-lg"
+              >
+                {PRODUCT_PAGE_SIZES.map((size) => (
+                  <option key={size} value={size}>{size}</option>
+                ))}
+              </select>
+            </label>
+            <button
+              onClick={() => updateQuery({ page: query.page - 1 })}
+              disabled={query.page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <span>Page {query.page} of {pageCount}</span>
+            <button
+              onClick={() => updateQuery({ page: query.page + 1 })}
+              disabled={query.page >= pageCount}
+              className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
       </div>
 
-      {showForm && (
-        <ProductForm
-          product={editingProduct}
-          onClose={() => { setShowForm(false); setEditingProduct(null); }}
-          onSave={loadProducts}
+      {bulkAction && (
+        <BulkActionModal
+          action={bulkAction}
+          count={selectionCount}
+          resolveProducts={resolveSelectedProducts}
+          onClose={() => setBulkAction(null)}
+          onDone={() => { clearSelection(); loadProducts(); }}
         />
       )}
+
+      <Routes>
+        <Route
+          path="new"
+          element={(
+            <RequirePermission permission="products.edit" redirectTo="/products">
+              <ProductForm product={null} onClose={closeForm} onSave={loadProducts} />
+            </RequirePermission>
+          )}
+        />
+        <Route
+          path=":id/edit"
+          element={<EditProductRoute products={products} onClose={closeForm} onSave={loadProducts} />}
+        />
+        <Route
+          path="import"
+          element={(
+            <RequirePermission permission="products.import" redirectTo="/products">
+              <ProductImportWizard onClose={closeForm} onDone={loadProducts} />
+            </RequirePermission>
+          )}
+        />
+      </Routes>
     </div>
   );
 }
 
-// Product Form Component
-function ProductForm({ product, onClose, onSave }) {
-  const COUNTRIES = ['USD', 'GBP', 'EUR', 'INR', 'AED', 'AUD', 'CAD', 'JPY', 'CNY', 'SAR'];
-  
-  const [formData, setFormData] = useState({
-    name: product?.name || '',
-    description: product?.description || '',
-    category: product?.category || '',
-    basePrice: product?.basePrice ?? '',
-    exchangeRates: product?.exchangeRates || {
-      USD: 1,
-      GBP: 0.79,
-      EUR: 0.92,
-      INR: 82.5,
-      AED: 3.67,
-      AUD: 1.52,
-      CAD: 1.35,
-      JPY: 148,
-      CNY: 7.24,
-      SAR: 3.75
-    },
-    inStock: product?.inStock ?? true,
-    featured: product?.featured ?? false
-  });
-  const [images, setImages] = useState(product?.images || []);
-  const [imageUrlInput, setImageUrlInput] = useState('');
-  const [imageUploadError, setImageUploadError] = useState('');
-  const [replaceIndex, setReplaceIndex] = useState(null);
-  const [dragImageIndex, setDragImageIndex] = useState(null);
-  const [saveError, setSaveError] = useState('');
-  const [saving, setSaving] = useState(false);
-  const replaceFileInputRef = useRef(null);
+// Bulk actions: each describes the change it makes to one product, so the
+// confirmation preview and the per-item run share the same logic
+const roundPrice = (value) => Math.round(value * 100) / 100;
 
-  const mergeUniqueImages = (existingImages, newImages) => {
-    const seen = new Set(existingImages);
-    const uniqueToAdd = [];
+// Products with variants are in stock through their variants, so those follow along.
+// Tracked products follow their quantity, so they are reported as failed instead.
+const setStock = (product, inStock) => {
+  if (product.trackInventory) {
+    throw new Error('Stock is tracked — adjust its quantity in Inventory');
+  }
+  return {
+    inStock,
+    ...(product.variants?.length && { variants: product.variants.map((variant) => ({ ...variant, inStock })) })
+  };
+};
 
-    newImages.forEach((image) => {
-      if (!seen.has(image)) {
-        seen.add(image);
-        uniqueToAdd.push(image);
+const BULK_ACTIONS = {
+  inStock: { label: 'Set in stock', permission: 'products.edit', describe: () => 'Mark as in stock', apply: (product) => setStock(product, true), checked: true },
+  outOfStock: { label: 'Set out of stock', permission: 'products.edit', describe: () => 'Mark as out of stock', apply: (product) => setStock(product, false), checked: true },
+  feature: { label: 'Feature', permission: 'products.edit', describe: () => 'Mark as featured', apply: () => ({ featured: true }) },
+  unfeature: { label: 'Unfeature', permission: 'products.edit', describe: () => 'Remove from featured', apply: () => ({ featured: false }) },
+  category: {
+    label: 'Change category',
+    permission: 'products.edit',
+    describe: ({ category }) => `Move to category "${category.name}"`,
+    apply: (product, { category }) => categoryReference(category)
+  },
+  price: {
+    label: 'Adjust price',
+    permission: 'products.price',
+    describe: ({ mode, amount }) => (mode === 'percent'
+      ? `Change base price by ${amount > 0 ? '+' : ''}${amount}%`
+      : `Change base price by ${amount < 0 ? '-' : '+'}$${Math.abs(amount)}`),
+    preview: (product, { basePrice }) => `$${product.basePrice} → $${basePrice}`,
+    apply: (product, { mode, amount }) => {
+      const current = Number(product.basePrice) || 0;
+      const basePrice = roundPrice(mode === 'percent' ? current * (1 + amount / 100) : current + amount);
+      if (basePrice <= 0) {
+        throw new Error(`New price $${basePrice} is not above zero`);
       }
-    });
-
-    return [...existingImages, ...uniqueToAdd];
-  };
+      return { basePrice };
+    }
+  },
+  delete: { label: 'Delete', permission: 'products.delete', describe: () => 'Delete permanently', destructive: true }
+};
 
-  const readFileAsDataUrl = (file) =>
-    new Promise((resolve, reject) => {
-      const reader = new FileReader();
-      reader.onload = () => resolve(reader.result);
-      reader.onerror = () => reject(new Error('Failed to read file'));
-      reader.readAsDataURL(file);
-    });
+function BulkActionBar({ count, total, allOnPageSelected, selectAllMatching, onSelectAllMatching, onClear, categories, onAction }) {
+  const can = usePermissions();
+  const [category, setCategory] = useState('');
+  const [priceMode, setPriceMode] = useState('percent');
+  const [priceAmount, setPriceAmount] = useState('');
 
-  const handleLocalImageUpload = async (e) => {
-    const files = Array.from(e.target.files || []);
-    if (!files.length) {
+  const runPriceAdjustment = () => {
+    const amount = parseFloat(priceAmount);
+    if (!amount) {
       return;
     }
+    onAction({ type: 'price', options: { mode: priceMode, amount } });
+  };
 
-    const invalidFile = files.find((file) => !file.type.startsWith('image/'));
-    if (invalidFile) {
-      setImageUploadError('Only image files are allowed.');
-      e.target.value = '';
-      return;
-    }
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 space-y-3">
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-semibold text-blue-900">{count} selected</span>
+        {allOnPageSelected && !selectAllMatching && total > count && (
+          <button onClick={onSelectAllMatching} className="text-blue-700 hover:text-blue-900 font-medium underline">
+            Select all {total} matching products
+          </button>
+        )}
+        <button onClick={onClear} className="text-gray-600 hover:text-gray-800 font-medium">
+          Clear selection
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {['inStock', 'outOfStock', 'feature', 'unfeature'].filter((type) => can(BULK_ACTIONS[type].permission)).map((type) => (
+          <button
+            key={type}
+            onClick={() => onAction({ type, options: {} })}
+            className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50"
+          >
+            {BULK_ACTIONS[type].label}
+          </button>
+        ))}
+        {can(BULK_ACTIONS.category.permission) && (
+          <div className="flex items-center gap-1">
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="">Move to category...</option>
+              <CategoryOptions categories={categories} />
+            </select>
+            <button
+              onClick={() => onAction({ type: 'category', options: { category: categories.find((item) => item._id === category) } })}
+              disabled={!category}
+              className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        )}
+        {can(BULK_ACTIONS.price.permission) && (
+          <div className="flex items-center gap-1">
+            <select
+              value={priceMode}
+              onChange={(e) => setPriceMode(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+            >
+              <option value="percent">Price ± %</option>
+              <option value="fixed">Price ± $</option>
+            </select>
+            <input
+              type="number"
+              step="0.01"
+              value={priceAmount}
+              onChange={(e) => setPriceAmount(e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              placeholder={priceMode === 'percent' ? '-10' : '5.00'}
+            />
+            <button
+              onClick={runPriceAdjustment}
+              disabled={!parseFloat(priceAmount)}
+              className="px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        )}
+        {can(BULK_ACTIONS.delete.permission) && (
+          <button
+            onClick={() => onAction({ type: 'delete', options: {} })}
+            className="px-3 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function BulkActionModal({ action, count, resolveProducts, onClose, onDone }) {
+  const definition = BULK_ACTIONS[action.type];
+  const [targets, setTargets] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    resolveProducts()
+      .then((items) => { if (!cancelled) setTargets(items); })
+      .catch((error) => {
+        console.error('Error loading selected products:', error);
+        if (!cancelled) setLoadError('Could not load the selected products.');
+      });
+    return () => { cancelled = true; };
+    // The selection is fixed for the lifetime of the modal
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
+  // Actions that can refuse a product (`preview` or `checked`) show the outcome before confirming
+  const previewChange = (product) => {
+    if (!definition.preview && !definition.checked) return null;
     try {
-      const uploadedImages = await Promise.all(files.map(readFileAsDataUrl));
-      setImages((prevImages) => mergeUniqueImages(prevImages, uploadedImages));
-      setImageUploadError('');
+      const changes = definition.apply(product, action.options);
+      return definition.preview ? definition.preview(product, changes) : null;
     } catch (error) {
-      setImageUploadError('Unable to process one or more files.');
-    } finally {
-      e.target.value = '';
+      return <span className="text-red-700">✗ {error.message}</span>;
     }
   };
 
-  const addImageFromUrl = () => {
-    const trimmed = imageUrlInput.trim();
-    if (!trimmed) {
-      return;
+  const run = async () => {
+    const outcome = [];
+    setProgress(0);
+    // One request at a time keeps the report in order and avoids hammering the API
+    for (const product of targets) {
+      try {
+        if (action.type === 'delete') {
+          await axios.delete(`${API_URL}/products/${product._id}`, auditNote('Bulk action'));
+        } else {
+          const changes = definition.apply(product, action.options);
+          await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote(`Bulk action: ${definition.describe(action.options)}`));
+        }
+        outcome.push({ product, success: true });
+      } catch (error) {
+        outcome.push({ product, success: false, message: apiErrorMessage(error) });
+      }
+      setProgress(outcome.length);
     }
-
-    setImages((prevImages) => (prevImages.includes(trimmed) ? prevImages : [...prevImages, trimmed]));
-    setImageUrlInput('');
-    setImageUploadError('');
+    setResults(outcome);
+    onDone();
   };
 
-  const removeImage = (indexToRemove) => {
-    setImages((prevImages) => prevImages.filter((_, index) => index !== indexToRemove));
-  };
+  const running = progress !== null && !results;
+  const failures = results ? results.filter((result) => !result.success) : [];
 
-  const reorderImages = (fromIndex, toIndex) => {
-    if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0) {
-      return;
-    }
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={running ? undefined : onClose}>
+      <div className="bg-white rounded-2xl max-w-2xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="sticky top-0 bg-white border-b px-6 py-4">
+          <h2 className="text-2xl font-bold">{definition.label}</h2>
+          <p className="text-gray-600 mt-1">{definition.describe(action.options)} — {count} product(s)</p>
+        </div>
 
-    setImages((prevImages) => {
-      const nextImages = [...prevImages];
-      const [movedImage] = nextImages.splice(fromIndex, 1);
-      nextImages.splice(toIndex, 0, movedImage);
-      return nextImages;
-    });
-  };
+        <div className="p-6 space-y-4">
+          {loadError && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{loadError}</div>
+          )}
 
-  const handleDragStart = (index) => {
-    setDragImageIndex(index);
-  };
+          {!targets && !loadError && <div className="text-center py-6"><div className="spinner mx-auto"></div></div>}
 
-  const handleDragOver = (e) => {
-    e.preventDefault();
-  };
+          {targets && !results && (
+            <>
+              {definition.destructive && (
+                <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">
+                  This cannot be undone.
+                </div>
+              )}
+              <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-72 overflow-y-auto text-sm">
+                {targets.map((product) => (
+                  <li key={product._id} className="px-4 py-2 flex justify-between gap-4">
+                    <span className="font-medium">{product.name}</span>
+                    <span className="text-gray-500">{previewChange(product)}</span>
+                  </li>
+                ))}
+              </ul>
+              {running && (
+                <div>
+                  <div className="text-sm text-gray-600 mb-1">Processing {progress} of {targets.length}...</div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${(progress / targets.length) * 100}%` }}></div>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
 
-  const handleDrop = (targetIndex) => {
-    if (dragImageIndex === null) {
-      return;
-    }
-    reorderImages(dragImageIndex, targetIndex);
-    setDragImageIndex(null);
-  };
+          {results && (
+            <>
+              <div className={`px-4 py-3 rounded-lg border ${failures.length ? 'bg-yellow-50 border-yellow-300 text-yellow-800' : 'bg-green-100 border-green-300 text-green-700'}`}>
+                {results.length - failures.length} succeeded, {failures.length} failed.
+              </div>
+              <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-72 overflow-y-auto text-sm">
+                {results.map(({ product, success, message }) => (
+                  <li key={product._id} className="px-4 py-2 flex justify-between gap-4">
+                    <span className="font-medium">{product.name}</span>
+                    <span className={success ? 'text-green-700' : 'text-red-700'}>{success ? '✓ Done' : `✗ ${message}`}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
 
-  const handleDragEnd = () => {
-    setDragImageIndex(null);
+          <div className="flex gap-4 pt-4 border-t">
+            {!results && (
+              <button
+                onClick={run}
+                disabled={!targets || !targets.length || running}
+                className={`flex-1 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50 ${
+                  definition.destructive ? 'bg-red-600 hover:bg-red-700' : 'bg-gradient-to-r from-blue-600 to-blue-500'
+                }`}
+              >
+                {running ? 'Working...' : `Confirm for ${targets ? targets.length : count} product(s)`}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              disabled={running}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all disabled:opacity-50"
+            >
+              {results ? 'Close' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Catalogue Export
+const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'XLSX' },
+  { id: 'json', label: 'JSON' }
+];
+const CATALOGUE_EXPORT_TYPE = 'dinternational-catalogue';
+
+const loadGlobalRates = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/settings/exchange-rates`, noCacheConfig());
+    return { ...DEFAULT_EXCHANGE_RATES, ...(response.data.rates || {}) };
+  } catch (error) {
+    console.error('Error loading global rates:', error);
+    return DEFAULT_EXCHANGE_RATES;
+  }
+};
+
+// One price per configured currency; a currency without any rate yet is left out
+// rather than priced at NaN
+const computePrices = (product, globalRates, currencies = DEFAULT_CURRENCIES) => {
+  const prices = {};
+  currencies.forEach((currency) => {
+    const rate = productRate(product, currency.code, globalRates);
+    if (rate !== undefined) {
+      prices[currency.code] = convertPrice(product.basePrice, rate, currency);
+    }
+  });
+  return prices;
+};
+
+// A product's `exchangeRates` only holds its overrides; every other currency follows
+// the global table. `exchangeRateBasis` keeps the global rate each override was set
+// against, so an override is stale once the global rate has moved on without it.
+const isStaleOverride = (product, code, globalRates) => {
+  const basis = product.exchangeRateBasis?.[code];
+  return basis === undefined
+    ? product.exchangeRates[code] !== globalRates[code]
+    : basis !== globalRates[code];
+};
+
+const staleOverrides = (product, globalRates) => Object.keys(product.exchangeRates || {})
+  .filter((code) => globalRates[code] !== undefined && isStaleOverride(product, code, globalRates));
+
+// Records the current global rate as the basis of every override the product carries
+const overrideBasis = (exchangeRates, globalRates) => Object.fromEntries(
+  Object.keys(exchangeRates || {})
+    .filter((code) => globalRates[code] !== undefined)
+    .map((code) => [code, globalRates[code]])
+);
+
+// Overridden and stale rates under the product name in the products table
+function RateOverrideSummary({ product, globalRates }) {
+  const overridden = Object.keys(product.exchangeRates || {});
+  if (overridden.length === 0) {
+    return null;
+  }
+
+  const stale = staleOverrides(product, globalRates);
+  return (
+    <div
+      className={`text-xs mt-1 ${stale.length ? 'text-amber-700' : 'text-gray-500'}`}
+      title={stale.length ? `Global rate changed since override: ${stale.join(', ')}` : overridden.join(', ')}
+    >
+      {overridden.length} rate override(s){stale.length > 0 && `, ${stale.length} stale`}
+    </div>
+  );
+}
+
+// Flat row layout shared by CSV/XLSX export and the spreadsheet import, so exported
+// sheets can be re-imported without remapping columns. JSON exports carry the full
+// product records instead and are imported as they are.
+// Some columns follow the settings (one stock column per warehouse, rate columns per
+// configured currency), so both sides build them from the same layout.
+const loadSheetLayout = async () => {
+  const [warehouses, currencies] = await Promise.all([loadWarehouses(), loadCurrencies()]);
+  return { warehouses, currencies };
+};
+
+const flattenProduct = (product, prices, layout) => {
+  const row = {
+    sku: product.sku || '',
+    name: product.name,
+    description: product.description,
+    category: product.category,
+    basePrice: product.basePrice,
+    inStock: Boolean(product.inStock),
+    featured: Boolean(product.featured),
+    trackInventory: Boolean(product.trackInventory),
+    lowStockThreshold: product.trackInventory ? Number(product.lowStockThreshold) || 0 : '',
+    'sale.type': product.sale?.type || '',
+    'sale.value': product.sale?.value ?? '',
+    'sale.startsAt': product.sale?.startsAt || '',
+    'sale.endsAt': product.sale?.endsAt || ''
   };
+  layout.warehouses.forEach((warehouse) => {
+    row[`stock.${warehouse.id}`] = product.trackInventory ? Number(product.stock?.[warehouse.id]) || 0 : '';
+  });
+  layout.currencies.forEach(({ code }) => {
+    row[`exchangeRates.${code}`] = product.exchangeRates?.[code] ?? '';
+  });
+  // The global rate each override was set against, so stale overrides stay stale after a round trip
+  layout.currencies.forEach(({ code }) => {
+    row[`exchangeRateBasis.${code}`] = product.exchangeRates?.[code] !== undefined ? product.exchangeRateBasis?.[code] ?? '' : '';
+  });
+  if (prices) {
+    layout.currencies.forEach(({ code }) => {
+      row[`price.${code}`] = prices[code] ?? '';
+    });
+  }
+  return row;
+};
 
-  const openReplacePicker = (index) => {
-    setReplaceIndex(index);
-    if (replaceFileInputRef.current) {
-      replaceFileInputRef.current.click();
+const exportTimestamp = () => new Date().toISOString().slice(0, 10);
+
+const exportCatalogue = (kind, format, items, rows) => {
+  const fileBase = `${kind}-${exportTimestamp()}`;
+
+  if (format === 'json') {
+    const payload = { type: CATALOGUE_EXPORT_TYPE, version: 1, kind, exportedAt: new Date().toISOString(), [kind]: items };
+    downloadFile(`${fileBase}.json`, JSON.stringify(payload, null, 2), 'application/json');
+    return;
+  }
+
+  const sheet = XLSX.utils.json_to_sheet(rows);
+  if (format === 'csv') {
+    downloadFile(`${fileBase}.csv`, XLSX.utils.sheet_to_csv(sheet), 'text/csv');
+    return;
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, sheet, kind);
+  const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+  downloadFile(`${fileBase}.xlsx`, data, 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+};
+
+const exportProducts = async (format, params) => {
+  const [products, globalRates, layout] = await Promise.all([fetchAllProducts(params), loadGlobalRates(), loadSheetLayout()]);
+  const withPrices = products.map((product) => ({ product, prices: computePrices(product, globalRates, layout.currencies) }));
+  exportCatalogue(
+    'products',
+    format,
+    withPrices.map(({ product, prices }) => ({ ...product, prices })),
+    withPrices.map(({ product, prices }) => ({ ...flattenProduct(product, prices, layout), images: (product.images || []).join(' | ') }))
+  );
+  return products.length;
+};
+
+const exportCategories = (format, categories) => {
+  exportCatalogue(
+    'categories',
+    format,
+    categories,
+    categories.map(({ name, icon, description, image, parentId, order }) => ({
+      name,
+      icon,
+      description: description || '',
+      image: image || '',
+      parent: categories.find((category) => category._id === parentId)?.name || '',
+      order: order ?? 0
+    }))
+  );
+};
+
+// Reads a JSON export back; rejects files that are not catalogue exports of the expected kind
+const readCatalogueJson = (text, kind) => {
+  const payload = JSON.parse(text);
+  const items = Array.isArray(payload) ? payload : payload?.[kind];
+  if (!Array.isArray(items) || (payload.type && payload.type !== CATALOGUE_EXPORT_TYPE)) {
+    throw new Error(`This is not a ${kind} export.`);
+  }
+  return items;
+};
+
+function ExportMenu({ onExport, label = 'Export' }) {
+  const [open, setOpen] = useState(false);
+  const [busy, setBusy] = useState(false);
+
+  const run = async (format) => {
+    setOpen(false);
+    setBusy(true);
+    try {
+      await onExport(format);
+    } catch (error) {
+      console.error('Error exporting:', error);
+      alert(apiErrorMessage(error, 'Error exporting data'));
+    } finally {
+      setBusy(false);
     }
   };
 
-  const handleReplaceImageUpload = async (e) => {
-    const file = e.target.files?.[0];
-    if (replaceIndex === null || !file) {
-      e.target.value = '';
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={busy}
+        className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
+      >
+        {busy ? 'Exporting...' : `${label} ▾`}
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-2 w-40 bg-white border border-gray-200 rounded-lg shadow-lg z-10 overflow-hidden">
+          {EXPORT_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => run(format.id)}
+              className="w-full px-4 py-2 text-left hover:bg-gray-50"
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Product Import Wizard
+const IMPORT_BATCH_SIZE = 20;
+const importFields = (layout) => [
+  { key: 'sku', label: 'SKU' },
+  { key: 'name', label: 'Name', required: true, aliases: ['productname', 'title'] },
+  { key: 'description', label: 'Description', required: true },
+  { key: 'category', label: 'Category', required: true },
+  { key: 'basePrice', label: 'Base Price (USD)', required: true, aliases: ['price', 'priceusd'] },
+  { key: 'inStock', label: 'In Stock', aliases: ['stock'] },
+  { key: 'featured', label: 'Featured' },
+  { key: 'images', label: 'Image URLs', aliases: ['image', 'imageurl', 'imageurls'] },
+  { key: 'trackInventory', label: 'Track Inventory' },
+  { key: 'lowStockThreshold', label: 'Low Stock Threshold', aliases: ['threshold'] },
+  { key: 'sale.type', label: 'Sale Type (percent or price)', aliases: ['saletype'] },
+  { key: 'sale.value', label: 'Sale Value', aliases: ['salevalue'] },
+  { key: 'sale.startsAt', label: 'Sale Starts', aliases: ['salestart', 'salestarts'] },
+  { key: 'sale.endsAt', label: 'Sale Ends', aliases: ['saleend', 'saleends'] },
+  ...layout.warehouses.map((warehouse) => ({
+    key: `stock.${warehouse.id}`,
+    label: `Stock: ${warehouse.name}`,
+    aliases: [`${warehouse.name}stock`]
+  })),
+  ...layout.currencies.map(({ code }) => ({
+    key: `exchangeRates.${code}`,
+    label: `${code} rate`,
+    aliases: [code.toLowerCase()]
+  })),
+  ...layout.currencies.map(({ code }) => ({
+    key: `exchangeRateBasis.${code}`,
+    label: `${code} rate basis`,
+    aliases: [`${code.toLowerCase()}basis`]
+  }))
+];
+
+const normalizeHeader = (value) => String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const guessImportMapping = (columns, fields) => {
+  const mapping = {};
+  fields.forEach((field) => {
+    const candidates = [field.key, field.label, ...(field.aliases || [])].map(normalizeHeader);
+    mapping[field.key] = columns.find((column) => candidates.includes(normalizeHeader(column))) || '';
+  });
+  return mapping;
+};
+
+const parseQuantityCell = (value) => {
+  const parsed = Number(String(value).trim());
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : undefined;
+};
+
+const parseBooleanCell = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1', 'x'].includes(normalized)) return true;
+  if (['false', 'no', 'n', '0'].includes(normalized)) return false;
+  return undefined;
+};
+
+// Turns one spreadsheet row into product fields. Blank cells are left out so
+// updates only touch the columns that actually carry a value.
+const readImportRow = (raw, mapping, fields) => {
+  const data = {};
+  const errors = [];
+
+  fields.forEach((field) => {
+    const column = mapping[field.key];
+    const value = column ? raw[column] : undefined;
+    if (value === undefined || String(value).trim() === '') {
       return;
     }
 
-    if (!file.type.startsWith('image/')) {
-      setImageUploadError('Only image files are allowed.');
-      e.target.value = '';
+    if (field.key.startsWith('exchangeRates.')) {
+      data.exchangeRates = { ...data.exchangeRates, [field.key.split('.')[1]]: parseFloat(value) };
+    } else if (field.key.startsWith('exchangeRateBasis.')) {
+      const basis = parseFloat(value);
+      if (Number.isNaN(basis) || basis <= 0) {
+        errors.push(`${field.label} must be a number above zero, got "${value}"`);
+      } else {
+        data.exchangeRateBasis = { ...data.exchangeRateBasis, [field.key.split('.')[1]]: basis };
+      }
+    } else if (field.key === 'basePrice') {
+      data.basePrice = parseFloat(value);
+    } else if (field.key.startsWith('stock.') || field.key === 'lowStockThreshold') {
+      const parsed = parseQuantityCell(value);
+      if (parsed === undefined) {
+        errors.push(`${field.label} must be a whole number of 0 or more, got "${value}"`);
+      } else if (field.key === 'lowStockThreshold') {
+        data.lowStockThreshold = parsed;
+      } else {
+        data.stock = { ...data.stock, [field.key.slice('stock.'.length)]: parsed };
+      }
+    } else if (field.key === 'sale.type') {
+      const type = String(value).trim().toLowerCase();
+      if (SALE_TYPES.some((saleType) => saleType.id === type)) {
+        data.sale = { ...data.sale, type };
+      } else {
+        errors.push(`${field.label} must be ${SALE_TYPES.map((saleType) => saleType.id).join(' or ')}, got "${value}"`);
+      }
+    } else if (field.key === 'sale.value') {
+      data.sale = { ...data.sale, value: parseFloat(value) };
+    } else if (field.key === 'sale.startsAt' || field.key === 'sale.endsAt') {
+      const date = new Date(String(value).trim());
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`${field.label} must be a date, got "${value}"`);
+      } else {
+        data.sale = { ...data.sale, [field.key.slice('sale.'.length)]: date.toISOString() };
+      }
+    } else if (['inStock', 'featured', 'trackInventory'].includes(field.key)) {
+      const parsed = parseBooleanCell(value);
+      if (parsed === undefined) {
+        errors.push(`${field.label} must be yes/no, got "${value}"`);
+      } else {
+        data[field.key] = parsed;
+      }
+    } else if (field.key === 'images') {
+      data.images = normalizeImageList(Array.isArray(value) ? value : String(value).split(/[\s,;|]+/));
+    } else {
+      data[field.key] = String(value).trim();
+    }
+  });
+
+  return { data, errors };
+};
+
+const readSpreadsheetEntries = (rows, mapping, fields) => rows.map((raw, index) => ({
+  rowNumber: index + 2, // Row 1 is the header
+  raw,
+  ...readImportRow(raw, mapping, fields)
+}));
+
+// Fields the API owns, or that are derived on export, are not sent back
+const JSON_IMPORT_IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'updatedBy', 'prices'];
+
+const readJsonEntries = (items, layout) => items.map((item, index) => ({
+  rowNumber: index + 1,
+  raw: flattenProduct(item, null, layout),
+  id: item._id,
+  data: Object.fromEntries(Object.entries(item).filter(([key]) => !JSON_IMPORT_IGNORED_FIELDS.includes(key))),
+  errors: []
+}));
+
+const validateImportedSale = (product) => {
+  if (!product.sale) return [];
+  if (!product.sale.type || product.sale.value === undefined) return ['Sale needs both a type and a value'];
+  return validateSale(product.sale, product.basePrice);
+};
+
+// Entries come from readSpreadsheetEntries or readJsonEntries: `{ rowNumber, raw, data, errors }`,
+// plus the exported `id` for JSON backups
+export const planImport = (entries, existingProducts, categories, globalRates) => {
+  const byId = new Map();
+  const bySku = new Map();
+  const byName = new Map();
+  existingProducts.forEach((product) => {
+    byId.set(product._id, product);
+    if (product.sku) bySku.set(String(product.sku).toLowerCase(), product);
+    if (product.name) byName.set(product.name.trim().toLowerCase(), product);
+  });
+  const claimed = new Map();
+
+  return entries.map(({ rowNumber, raw, id, data, errors: readErrors }) => {
+    const errors = [...readErrors];
+    if (data.category || data.categoryId) {
+      const category = categories.find((item) => data.categoryId && item._id === data.categoryId)
+        || categories.find((item) => normalizeCategoryName(item.name) === normalizeCategoryName(data.category));
+      if (category) {
+        Object.assign(data, categoryReference(category));
+      } else {
+        errors.push(`Unknown category "${data.category}"`);
+      }
+    }
+    const existing = (id && byId.get(id))
+      || (data.sku && bySku.get(String(data.sku).toLowerCase()))
+      || (data.name && byName.get(data.name.trim().toLowerCase()));
+    const matchKey = existing ? existing._id : (data.sku || data.name || '').toLowerCase();
+
+    if (matchKey && claimed.has(matchKey)) {
+      errors.push(`Same product as row ${claimed.get(matchKey)}`);
+    } else if (matchKey) {
+      claimed.set(matchKey, rowNumber);
+    }
+
+    // Rates without an exported basis (JSON backup or basis column) count as set now
+    const basis = { ...overrideBasis(data.exchangeRates, globalRates), ...data.exchangeRateBasis };
+    let payload;
+    if (existing) {
+      const exchangeRates = data.exchangeRates && { ...existing.exchangeRates, ...data.exchangeRates };
+      payload = {
+        ...data,
+        ...(exchangeRates && { exchangeRates }),
+        ...((exchangeRates || data.exchangeRateBasis) && { exchangeRateBasis: { ...existing.exchangeRateBasis, ...basis } }),
+        ...(data.stock && { stock: { ...existing.stock, ...data.stock } }),
+        // Sale columns left blank keep the existing sale's values (and its campaign)
+        ...(data.sale && { sale: { ...existing.sale, ...data.sale } }),
+        ...(data.images && { image: data.images[0] || '' })
+      };
+      // A tracked product's availability follows its quantity, whatever the In Stock column says
+      const merged = { ...existing, ...payload };
+      if (merged.trackInventory && ['inStock', 'trackInventory', 'lowStockThreshold', 'stock'].some((key) => key in data)) {
+        payload.inStock = deriveInStock(merged);
+      }
+      errors.push(...validateProduct(merged), ...validateImportedSale(merged));
+    } else {
+      const images = data.images || [];
+      payload = {
+        inStock: true,
+        featured: false,
+        ...data,
+        exchangeRates: data.exchangeRates || {},
+        exchangeRateBasis: basis,
+        images,
+        image: images[0] || ''
+      };
+      if (payload.trackInventory) {
+        payload.inStock = deriveInStock(payload);
+      }
+      errors.push(...validateProduct(payload), ...validateImportedSale(payload));
+    }
+
+    return {
+      rowNumber,
+      raw,
+      name: data.name || existing?.name || '',
+      action: errors.length ? 'error' : existing ? 'update' : 'create',
+      existing,
+      payload,
+      errors
+    };
+  });
+};
+
+function ProductImportWizard({ onClose, onDone }) {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [fields, setFields] = useState([]);
+  const [source, setSource] = useState('spreadsheet');
+  const [plan, setPlan] = useState([]);
+  const [error, setError] = useState('');
+  const [working, setWorking] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [failures, setFailures] = useState([]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) {
       return;
     }
 
+    setError('');
     try {
-      const newImage = await readFileAsDataUrl(file);
-      setImages((prevImages) => prevImages.map((image, index) => (index === replaceIndex ? newImage : image)));
-      setImageUploadError('');
-    } catch (error) {
-      setImageUploadError('Unable to replace image.');
-    } finally {
-      setReplaceIndex(null);
-      e.target.value = '';
+      const layout = await loadSheetLayout();
+      // JSON backups hold whole product records, so there are no columns to map
+      if (/\.json$/i.test(file.name)) {
+        const items = readCatalogueJson(await file.text(), 'products');
+        if (!items.length) {
+          setError('The file has no products.');
+          return;
+        }
+        setFileName(file.name);
+        setSource('json');
+        await buildPreview(readJsonEntries(items, layout));
+        return;
+      }
+
+      const workbook = /\.csv$/i.test(file.name)
+        ? XLSX.read(await file.text(), { type: 'string' })
+        : XLSX.read(await file.arrayBuffer(), { type: 'array' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const header = (XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || []).map(String).filter(Boolean);
+      const data = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false });
+
+      if (!header.length || !data.length) {
+        setError('The file has no data rows.');
+        return;
+      }
+      setFileName(file.name);
+      setSource('spreadsheet');
+      const sheetFields = importFields(layout);
+      setColumns(header);
+      setRows(data);
+      setFields(sheetFields);
+      setMapping(guessImportMapping(header, sheetFields));
+      setStep('map');
+    } catch (readError) {
+      console.error('Error reading import file:', readError);
+      setError(readError instanceof SyntaxError || !readError.message
+        ? 'Could not read this file. Use a .csv or .xlsx file with a header row, or a JSON product export.'
+        : readError.message);
     }
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-    setSaveError('');
-    setSaving(true);
+  const missingRequired = fields.filter((field) => field.required && !mapping[field.key]);
+
+  const buildPreview = async (entries) => {
+    setWorking(true);
+    setError('');
     try {
-      const normalizedImages = Array.from(
-        new Set(
-          images
-            .map((image) => (typeof image === 'string' ? image.trim() : ''))
-            .filter(Boolean)
-        )
-      );
+      const [existingProducts, categoriesRes, globalRates] = await Promise.all([
+        fetchAllProducts(),
+        axios.get(`${API_URL}/categories`, noCacheConfig()),
+        loadGlobalRates()
+      ]);
+      setPlan(planImport(entries, existingProducts, categoriesRes.data.categories || [], globalRates));
+      setStep('preview');
+    } catch (loadError) {
+      console.error('Error loading products for import:', loadError);
+      setError('Could not load existing products to match against.');
+    } finally {
+      setWorking(false);
+    }
+  };
 
-      const payload = {
-        ...formData,
-        basePrice: parseFloat(formData.basePrice) || 0,
-        images: normalizedImages,
-        image: normalizedImages[0] || ''
-      };
+  const commit = async () => {
+    const accepted = plan.filter((row) => row.action !== 'error');
+    const rejected = plan
+      .filter((row) => row.action === 'error')
+      .map((row) => ({ ...row, message: row.errors.join('; ') }));
 
-      if (product) {
-        await axios.put(`${API_URL}/products/${product._id}`, payload);
-      } else {
-        await axios.post(`${API_URL}/products`, payload);
-      }
-      await onSave();
-      onClose();
-    } catch (error) {
-      console.error('Error saving product:', error);
-      const message = error.response?.data?.message || 'Error saving product';
-      setSaveError(message);
-    } finally {
-      setSaving(false);
+    setStep('commit');
+    setWorking(true);
+    setProgress(0);
+    for (let start = 0; start < accepted.length; start += IMPORT_BATCH_SIZE) {
+      const batch = accepted.slice(start, start + IMPORT_BATCH_SIZE);
+      const outcomes = await Promise.allSettled(batch.map((row) => (row.action === 'update'
+        ? axios.put(`${API_URL}/products/${row.existing._id}`, row.payload, auditNote(`Imported from ${fileName}`))
+        : axios.post(`${API_URL}/products`, row.payload, auditNote(`Imported from ${fileName}`)))));
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'rejected') {
+          rejected.push({ ...batch[index], message: apiErrorMessage(outcome.reason) });
+        }
+      });
+      setProgress(Math.min(start + batch.length, accepted.length));
     }
+    setFailures(rejected.sort((a, b) => a.rowNumber - b.rowNumber));
+    setWorking(false);
+    onDone();
   };
 
-  const updateExchangeRate = (currency, value) => {
-    setFormData({
-      ...formData,
-      exchangeRates: {
-        ...formData.exchangeRates,
-        [currency]: parseFloat(value) || 0
-      }
-    });
+  const downloadErrorReport = () => {
+    const sheet = XLSX.utils.json_to_sheet(failures.map((row) => ({ Row: row.rowNumber, Error: row.message, ...row.raw })));
+    downloadFile(`${fileName.replace(/\.[^.]+$/, '')}-errors.csv`, XLSX.utils.sheet_to_csv(sheet), 'text/csv');
   };
 
+  const counts = plan.reduce((totals, row) => ({ ...totals, [row.action]: (totals[row.action] || 0) + 1 }), {});
+  const acceptedCount = (counts.create || 0) + (counts.update || 0);
+
   return (
-    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={working ? undefined : onClose}>
       <div className="bg-white rounded-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
         <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
-          <h2 className="text-2xl font-bold">{product ? 'Edit' : 'Add'} Product</h2>
-          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+          <div>
+            <h2 className="text-2xl font-bold">Import Products</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              {{ upload: 'Step 1 of 4: choose a file', map: 'Step 2 of 4: map columns', preview: 'Step 3 of 4: review changes', commit: 'Step 4 of 4: import' }[step]}
+              {fileName && ` — ${fileName}`}
+            </p>
+          </div>
+          <button onClick={onClose} disabled={working} className="text-gray-400 hover:text-gray-600">
             <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
             </svg>
           </button>
         </div>
 
-        <form onSubmit={handleSubmit} className="p-6 space-y-6">
-          {/* Basic Information */}
-          <div>
-            <h3 className="text-lg font-semibold mb-4">Basic Information</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Product Name *</label>
-                <input
-                  type="text"
-                  value={formData.name}
-                  onChange={(e) => setFormData({...formData, name: e.target.value})}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                  required
-                />
-              </div>
-
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Category *</label>
-                <input
-                  type="text"
-                  value={formData.category}
-                  onChange={(e) => setFormData({...formData, category: e.target.value})}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                  placeholder="e.g., office, home, outdoor"
-                  required
-                />
-              </div>
-            </div>
-
-            <div className="mt-4">
-              <label className="block text-sm font-medium text-gray-700 mb-2">Description *</label>
-              <textarea
-                value={formData.description}
-                onChange={(e) => setFormData({...formData, description: e.target.value})}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                rows="3"
-                required
-              />
-            </div>
-          </div>
-
-          {/* Pricing */}
-          <div>
-            <h3 className="text-lg font-semibold mb-4">Pricing (Base Price in USD)</h3>
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Base Price (USD) *</label>
-                <input
-                  type="number"
-                  step="0.01"
-                  value={formData.basePrice}
-                  onChange={(e) => setFormData({...formData, basePrice: e.target.value})}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                  required
-                />
-              </div>
-            </div>
-          </div>
+        <div className="p-6 space-y-4">
+          {error && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+          )}
 
-          {/* Images */}
-          <div>
-            <h3 className="text-lg font-semibold mb-4">Product Images</h3>
-            <div className="flex gap-2">
-              <input
-                type="url"
-                value={imageUrlInput}
-                onChange={(e) => setImageUrlInput(e.target.value)}
-                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                placeholder="https://example.com/image.jpg"
-              />
-              <button
-                type="button"
-                onClick={addImageFromUrl}
-                className="px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700"
-              >
-                Add URL
-              </button>
-            </div>
-            <div className="mt-4">
-              <label className="block text-sm font-medium text-gray-700 mb-2">Upload from local machine</label>
+          {step === 'upload' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                CSV or XLSX file (first sheet, first row as header), or a JSON product export
+              </label>
               <input
                 type="file"
-                accept="image/*"
-                multiple
-                onChange={handleLocalImageUpload}
+                accept=".csv,.xlsx,.xls,.json,text/csv,application/json,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+                onChange={handleFile}
                 className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-100 file:text-blue-700 hover:file:bg-blue-200"
               />
               <p className="mt-2 text-xs text-gray-500">
-                Uploaded files are stored as data URLs in the product images list.
+                Rows are matched to existing products by SKU, then by name (JSON backups first by their exported id).
+                Matches are updated, everything else is created.
               </p>
-              {imageUploadError && (
-                <p className="mt-2 text-sm text-red-600">{imageUploadError}</p>
-              )}
             </div>
-            <input
-              ref={replaceFileInputRef}
-              type="file"
-              accept="image/*"
-              className="hidden"
-              onChange={handleReplaceImageUpload}
-            />
-            {images.length > 0 && (
-              <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3">
-                <div className="col-span-full text-xs text-gray-500">
-                  Drag images to reorder. The first image is used as the primary thumbnail.
-                </div>
-                {images.map((imageUrl, index) => (
-                  <div
-                    key={`${imageUrl}-${index}`}
-                    draggable
-                    onDragStart={() => handleDragStart(index)}
-                    onDragOver={handleDragOver}
-                    onDrop={() => handleDrop(index)}
-                    onDragEnd={handleDragEnd}
-                    className={`rounded-lg border bg-gray-100 overflow-hidden cursor-move ${
-                      index === 0 ? 'border-blue-400' : 'border-gray-200'
-                    }`}
-                  >
-                    <div className="w-full aspect-square">
-                      <img
-                        src={imageUrl}
-                        alt={`Preview ${index + 1}`}
-                        className="w-full h-full object-cover"
-                      />
-                    </div>
-                    <div className="p-2">
-                      <div className="text-xs text-gray-600 mb-2">
-                        {index === 0 ? 'Primary image' : `Position ${index + 1}`}
-                      </div>
-                      <div className="flex gap-2">
-                      <button
-                        type="button"
-                        onClick={() => openReplacePicker(index)}
-                        className="flex-1 text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
-                      >
-                        Replace
-                      </button>
-                      <button
-                        type="button"
-                        onClick={() => removeImage(index)}
-                        className="flex-1 text-xs bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700"
-                      >
-                        Delete
-                      </button>
-                      </div>
-                    </div>
-                  </div>
+          )}
+
+          {step === 'map' && (
+            <>
+              <p className="text-sm text-gray-600">{rows.length} rows found. Choose which column feeds each product field.</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                {fields.map((field) => (
+                  <label key={field.key} className="flex items-center justify-between gap-3 text-sm">
+                    <span className="font-medium text-gray-700">{field.label}{field.required && ' *'}</span>
+                    <select
+                      value={mapping[field.key]}
+                      onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                      className="w-1/2 px-3 py-2 border border-gray-300 rounded-lg"
+                    >
+                      <option value="">— not imported —</option>
+                      {columns.map((column) => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </label>
                 ))}
               </div>
-            )}
-          </div>
+              {missingRequired.length > 0 && (
+                <p className="text-sm text-yellow-700">
+                  Not mapped: {missingRequired.map((field) => field.label).join(', ')}. Rows that create new products will be rejected without them.
+                </p>
+              )}
+            </>
+          )}
 
-          {/* Exchange Rates */}
-          <div>
-            <h3 className="text-lg font-semibold mb-4">Exchange Rates</h3>
-            <p className="text-sm text-gray-600 mb-4">Set exchange rates for automatic currency conversion</p>
-            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
-              {COUNTRIES.map((currency) => (
-                <div key={currency}>
-                  <label className="block text-sm font-medium text-gray-700 mb-2">{currency}</label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={formData.exchangeRates[currency] || 0}
-                    onChange={(e) => updateExchangeRate(currency, e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                  />
+          {step === 'preview' && (
+            <>
+              <div className="flex gap-3 text-sm">
+                <span className="px-3 py-1 rounded-full bg-green-100 text-green-700 font-medium">{counts.create || 0} to create</span>
+                <span className="px-3 py-1 rounded-full bg-blue-100 text-blue-700 font-medium">{counts.update || 0} to update</span>
+                <span className="px-3 py-1 rounded-full bg-red-100 text-red-700 font-medium">{counts.error || 0} rejected</span>
+              </div>
+              <div className="border border-gray-200 rounded-lg max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 border-b sticky top-0">
+                    <tr>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Row</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+                      <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Result</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {plan.map((row) => (
+                      <tr key={row.rowNumber}>
+                        <td className="px-4 py-2 text-gray-500">{row.rowNumber}</td>
+                        <td className="px-4 py-2 font-medium">{row.name || <span className="text-gray-400">(no name)</span>}</td>
+                        <td className="px-4 py-2">
+                          {row.action === 'create' && <span className="text-green-700">Create</span>}
+                          {row.action === 'update' && (
+                            <span className="text-blue-700">Update {Object.keys(row.payload).filter((key) => key !== 'image').join(', ')}</span>
+                          )}
+                          {row.action === 'error' && <span className="text-red-700">{row.errors.join('; ')}</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+
+          {step === 'commit' && (
+            <>
+              <div>
+                <div className="text-sm text-gray-600 mb-1">
+                  {working ? `Importing ${progress} of ${acceptedCount}...` : 'Import finished.'}
                 </div>
-              ))}
-            </div>
+                <div className="w-full bg-gray-200 rounded-full h-2">
+                  <div className="bg-blue-600 h-2 rounded-full" style={{ width: `${acceptedCount ? (progress / acceptedCount) * 100 : 100}%` }}></div>
+                </div>
+              </div>
+              {!working && (
+                <div className={`px-4 py-3 rounded-lg border ${failures.length ? 'bg-yellow-50 border-yellow-300 text-yellow-800' : 'bg-green-100 border-green-300 text-green-700'}`}>
+                  {plan.length - failures.length} rows imported, {failures.length} rejected.
+                  {failures.length > 0 && (
+                    <button onClick={downloadErrorReport} className="ml-3 font-medium underline">Download error report</button>
+                  )}
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="flex gap-4 pt-4 border-t">
+            {step === 'map' && (
+              <button
+                onClick={() => buildPreview(readSpreadsheetEntries(rows, mapping, fields))}
+                disabled={working}
+                className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+              >
+                {working ? 'Checking...' : 'Preview Import'}
+              </button>
+            )}
+            {step === 'preview' && (
+              <>
+                <button
+                  onClick={() => setStep(source === 'json' ? 'upload' : 'map')}
+                  className="flex-1 bg-white border border-gray-300 py-3 rounded-lg font-semibold hover:bg-gray-50"
+                >
+                  Back
+                </button>
+                <button
+                  onClick={commit}
+                  disabled={!acceptedCount}
+                  className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+                >
+                  Import {acceptedCount} Row(s)
+                </button>
+              </>
+            )}
+            <button
+              onClick={onClose}
+              disabled={working}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all disabled:opacity-50"
+            >
+              {step === 'commit' ? 'Close' : 'Cancel'}
+            </button>
           </div>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-          {/* Status */}
-          <div>
-            <h3 className="text-lg font-semibold mb-4">Status</h3>
-            <div className="flex gap-6">
-              <label className="flex items-center">
-                <input
-                  type="checkbox"
-                  checked={formData.inStock}
-                  onChange={(e) => setFormData({...formData, inStock: e.target.checked})}
-                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
-                />
-                <span className="ml-2 text-gray-700">In Stock</span>
-              </label>
+function SortableHeader({ label, field, query, onSort }) {
+  const active = query.sort === field;
 
-              <label className="flex items-center">
-                <input
-                  type="checkbox"
-                  checked={formData.featured}
-                  onChange={(e) => setFormData({...formData, featured: e.target.checked})}
-                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
-                />
-                <span className="ml-2 text-gray-700">Featured Product</span>
-              </label>
-            </div>
+  return (
+    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+      <button onClick={() => onSort(field)} className="uppercase flex items-center gap-1 hover:text-gray-800">
+        {label}
+        <span className={active ? 'text-gray-800' : 'text-gray-300'}>
+          {active && query.order === 'desc' ? '▼' : '▲'}
+        </span>
+      </button>
+    </th>
+  );
+}
+
+// Resolves /products/:id/edit to a product, fetching it when it is not in the loaded list
+function EditProductRoute({ products, onClose, onSave }) {
+  const { id } = useParams();
+  const [product, setProduct] = useState(() => products.find((p) => p._id === id) || null);
+  const [notFound, setNotFound] = useState(false);
+
+  useEffect(() => {
+    const loaded = products.find((p) => p._id === id);
+    if (loaded) {
+      setProduct(loaded);
+      return;
+    }
+
+    let cancelled = false;
+    axios.get(`${API_URL}/products/${id}`, noCacheConfig())
+      .then((response) => {
+        if (!cancelled) setProduct(response.data.product);
+      })
+      .catch((error) => {
+        console.error('Error loading product:', error);
+        if (!cancelled) setNotFound(true);
+      });
+    return () => { cancelled = true; };
+  }, [id, products]);
+
+  if (notFound) {
+    return <Navigate to="/products" replace />;
+  }
+
+  if (!product) {
+    return null;
+  }
+
+  return <ProductForm key={product._id} product={product} onClose={onClose} onSave={onSave} />;
+}
+
+// Product validation, shared by ProductForm and the import wizard
+const normalizeImageList = (images) => Array.from(
+  new Set(
+    images
+      .map((image) => (typeof image === 'string' ? image.trim() : ''))
+      .filter(Boolean)
+  )
+);
+
+const validateProduct = (product) => {
+  const errors = [];
+  if (!String(product.name ?? '').trim()) errors.push('Product name is required');
+  if (!String(product.category ?? '').trim()) errors.push('Category is required');
+  if (!String(product.description ?? '').trim()) errors.push('Description is required');
+
+  const price = parseFloat(product.basePrice);
+  if (Number.isNaN(price)) {
+    errors.push('Base price must be a number');
+  } else if (price < 0) {
+    errors.push('Base price cannot be negative');
+  }
+
+  // A rate of 0 would price the product at nothing in that currency
+  Object.entries(product.exchangeRates || {}).forEach(([currency, rate]) => {
+    if (!isValidRate(rate)) {
+      errors.push(`${currency} rate must be a number above 0`);
+    }
+  });
+  errors.push(...validateVariants(product));
+  return errors;
+};
+
+// Image uploads go to the backend's upload endpoint, which stores the file
+// (local disk in development, S3-compatible storage in production) and returns its URL
+const UPLOAD_ATTEMPTS = 3;
+
+const uploadImageFile = async (file, onProgress = () => {}) => {
+  const body = new FormData();
+  body.append('file', file);
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const response = await axios.post(`${API_URL}/uploads`, body, {
+        onUploadProgress: (event) => {
+          if (event.total) onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      });
+      return response.data.url;
+    } catch (error) {
+      // Client errors (too large, wrong type) will not succeed on a retry
+      const status = error.response?.status;
+      if (attempt >= UPLOAD_ATTEMPTS || (status >= 400 && status < 500)) {
+        throw error;
+      }
+      onProgress(0);
+      await new Promise((resolve) => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+};
+
+const isDataUrl = (image) => typeof image === 'string' && image.startsWith('data:');
+
+const dataUrlToFile = async (dataUrl, name) => {
+  const blob = await (await fetch(dataUrl)).blob();
+  const extension = (blob.type.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*/, '');
+  return new File([blob], `${name}.${extension}`, { type: blob.type });
+};
+
+// Client-side image processing: crop, downscale and re-encode before upload.
+// Drawing through a canvas also drops EXIF metadata (GPS, camera details).
+const IMAGE_PROCESSING_STORAGE_KEY = 'adminImageProcessing';
+const IMAGE_PROCESSING_DEFAULTS = {
+  maxDimension: 2000,
+  format: 'image/webp',
+  quality: 0.82,
+  thumbnailSize: 400
+};
+const IMAGE_FORMATS = [
+  { type: 'image/webp', label: 'WebP', extension: 'webp' },
+  { type: 'image/jpeg', label: 'JPEG', extension: 'jpg' }
+];
+const CROP_ASPECTS = [
+  { id: 'original', label: 'Original', ratio: null },
+  { id: 'square', label: 'Square 1:1', ratio: 1 },
+  { id: '4:3', label: '4:3', ratio: 4 / 3 },
+  { id: '3:4', label: '3:4', ratio: 3 / 4 },
+  { id: '16:9', label: '16:9', ratio: 16 / 9 }
+];
+// Animated and vector images would be flattened by a canvas, so they upload untouched
+const UNPROCESSED_IMAGE_TYPES = ['image/gif', 'image/svg+xml'];
+
+const loadImageProcessingOptions = () => {
+  try {
+    return { ...IMAGE_PROCESSING_DEFAULTS, ...JSON.parse(localStorage.getItem(IMAGE_PROCESSING_STORAGE_KEY) || '{}') };
+  } catch (error) {
+    return IMAGE_PROCESSING_DEFAULTS;
+  }
+};
+
+const decodeImage = async (file) => {
+  if (window.createImageBitmap) {
+    return createImageBitmap(file, { imageOrientation: 'from-image' });
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+const encodeCanvas = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode image'))), type, quality);
+});
+
+const renderImage = async (source, crop, maxDimension, type, quality) => {
+  const scale = Math.min(1, maxDimension / Math.max(crop.width, crop.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(crop.width * scale));
+  canvas.height = Math.max(1, Math.round(crop.height * scale));
+  const context = canvas.getContext('2d');
+  if (type === 'image/jpeg') {
+    // JPEG has no alpha channel; transparent areas would otherwise turn black
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.imageSmoothingQuality = 'high';
+  context.drawImage(source, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+  const blob = await encodeCanvas(canvas, type, quality);
+  // Browsers without a WebP encoder silently hand back PNG; use JPEG instead
+  return blob.type === type ? blob : renderImage(source, crop, maxDimension, 'image/jpeg', quality);
+};
+
+// `crop` is relative to the image (0..1) so it is independent of the preview size
+const processImage = async (file, crop, options) => {
+  const source = await decodeImage(file);
+  const width = source.width;
+  const height = source.height;
+  const area = crop
+    ? { x: crop.x * width, y: crop.y * height, width: crop.width * width, height: crop.height * height }
+    : { x: 0, y: 0, width, height };
+
+  try {
+    const [full, thumbnail] = await Promise.all([
+      renderImage(source, area, options.maxDimension, options.format, options.quality),
+      renderImage(source, area, options.thumbnailSize, options.format, options.quality)
+    ]);
+    const baseName = file.name.replace(/\.[^.]+$/, '');
+    const extensionFor = (blob) => IMAGE_FORMATS.find((format) => format.type === blob.type)?.extension || 'jpg';
+    return {
+      file: new File([full], `${baseName}.${extensionFor(full)}`, { type: full.type }),
+      thumbnail: new File([thumbnail], `${baseName}-thumb.${extensionFor(thumbnail)}`, { type: thumbnail.type })
+    };
+  } finally {
+    if (source.close) source.close();
+  }
+};
+
+// Largest box of the given aspect that fits the image, scaled by `zoom` and centred on (cx, cy)
+const computeCrop = (naturalSize, ratio, zoom, center) => {
+  if (!ratio || !naturalSize) {
+    return null;
+  }
+  const imageRatio = naturalSize.width / naturalSize.height;
+  const width = (ratio > imageRatio ? 1 : ratio / imageRatio) * zoom;
+  const height = (ratio > imageRatio ? imageRatio / ratio : 1) * zoom;
+  const clamp = (value, size) => Math.min(Math.max(value - size / 2, 0), 1 - size);
+  return { x: clamp(center.x, width), y: clamp(center.y, height), width, height };
+};
+
+function ImageProcessDialog({ item, remaining, options, onOptionsChange, onProcess, onProcessAll, onSkip }) {
+  const [previewUrl, setPreviewUrl] = useState('');
+  const [naturalSize, setNaturalSize] = useState(null);
+  const [aspect, setAspect] = useState('original');
+  const [zoom, setZoom] = useState(1);
+  const [center, setCenter] = useState({ x: 0.5, y: 0.5 });
+  const [processing, setProcessing] = useState(false);
+  const frameRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const url = URL.createObjectURL(item.file);
+    setPreviewUrl(url);
+    setNaturalSize(null);
+    setCenter({ x: 0.5, y: 0.5 });
+    return () => URL.revokeObjectURL(url);
+  }, [item]);
+
+  const ratio = CROP_ASPECTS.find((entry) => entry.id === aspect)?.ratio;
+  const crop = computeCrop(naturalSize, ratio, zoom, center);
+
+  const startDrag = (e) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = { x: e.clientX, y: e.clientY, center: { x: crop.x + crop.width / 2, y: crop.y + crop.height / 2 } };
+  };
+
+  const drag = (e) => {
+    if (!dragRef.current || !frameRef.current) return;
+    const bounds = frameRef.current.getBoundingClientRect();
+    setCenter({
+      x: dragRef.current.center.x + (e.clientX - dragRef.current.x) / bounds.width,
+      y: dragRef.current.center.y + (e.clientY - dragRef.current.y) / bounds.height
+    });
+  };
+
+  const run = async (handler) => {
+    setProcessing(true);
+    try {
+      await handler();
+    } finally {
+      setProcessing(false);
+    }
+  };
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-[60] p-4">
+      <div className="bg-white rounded-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="border-b px-6 py-4">
+          <h2 className="text-2xl font-bold">{item.replaces ? 'Replace Image' : 'Prepare Image'}</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            {item.file.name} ({(item.file.size / 1024 / 1024).toFixed(1)} MB)
+            {remaining > 0 && ` — ${remaining} more after this`}
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {CROP_ASPECTS.map((entry) => (
+              <button
+                key={entry.id}
+                type="button"
+                onClick={() => { setAspect(entry.id); setZoom(1); setCenter({ x: 0.5, y: 0.5 }); }}
+                className={`px-3 py-1 rounded-lg text-sm font-medium border ${
+                  aspect === entry.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {entry.label}
+              </button>
+            ))}
           </div>
 
-          {/* Actions */}
-          {saveError && (
-            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">
-              {saveError}
-            </div>
+          <div ref={frameRef} className="relative mx-auto w-fit max-w-full select-none">
+            {previewUrl && (
+              <img
+                src={previewUrl}
+                alt="Crop preview"
+                className="max-h-[45vh] max-w-full block"
+                onLoad={(e) => setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+                draggable={false}
+              />
+            )}
+            {crop && (
+              <div
+                onPointerDown={startDrag}
+                onPointerMove={drag}
+                onPointerUp={() => { dragRef.current = null; }}
+                className="absolute border-2 border-white cursor-move"
+                style={{
+                  left: `${crop.x * 100}%`,
+                  top: `${crop.y * 100}%`,
+                  width: `${crop.width * 100}%`,
+                  height: `${crop.height * 100}%`,
+                  boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)'
+                }}
+              />
+            )}
+          </div>
+
+          {crop && (
+            <label className="flex items-center gap-3 text-sm text-gray-700">
+              Crop size
+              <input type="range" min="0.2" max="1" step="0.01" value={zoom} onChange={(e) => setZoom(parseFloat(e.target.value))} className="flex-1" />
+            </label>
           )}
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <label>
+              <span className="block font-medium text-gray-700 mb-1">Max size (px)</span>
+              <input
+                type="number"
+                min="200"
+                step="100"
+                value={options.maxDimension}
+                onChange={(e) => onOptionsChange({ maxDimension: parseInt(e.target.value, 10) || IMAGE_PROCESSING_DEFAULTS.maxDimension })}
+                className={inputClass}
+              />
+            </label>
+            <label>
+              <span className="block font-medium text-gray-700 mb-1">Format</span>
+              <select value={options.format} onChange={(e) => onOptionsChange({ format: e.target.value })} className={inputClass}>
+                {IMAGE_FORMATS.map((format) => (
+                  <option key={format.type} value={format.type}>{format.label}</option>
+                ))}
+              </select>
+            </label>
+            <label>
+              <span className="block font-medium text-gray-700 mb-1">Quality ({Math.round(options.quality * 100)}%)</span>
+              <input
+                type="range"
+                min="0.4"
+                max="1"
+                step="0.01"
+                value={options.quality}
+                onChange={(e) => onOptionsChange({ quality: parseFloat(e.target.value) })}
+                className="w-full mt-2"
+              />
+            </label>
+            <label>
+              <span className="block font-medium text-gray-700 mb-1">Thumbnail (px)</span>
+              <input
+                type="number"
+                min="100"
+                step="50"
+                value={options.thumbnailSize}
+                onChange={(e) => onOptionsChange({ thumbnailSize: parseInt(e.target.value, 10) || IMAGE_PROCESSING_DEFAULTS.thumbnailSize })}
+                className={inputClass}
+              />
+            </label>
+          </div>
+
           <div className="flex gap-4 pt-4 border-t">
             <button
-              type="submit"
-              disabled={saving}
-              className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+              type="button"
+              onClick={() => run(() => onProcess(crop))}
+              disabled={processing || !naturalSize}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
             >
-              {saving ? 'Saving...' : `${product ? 'Update' : 'Create'} Product`}
+              {processing ? 'Processing...' : 'Upload'}
             </button>
+            {remaining > 0 && (
+              <button
+                type="button"
+                onClick={() => run(onProcessAll)}
+                disabled={processing}
+                className="flex-1 bg-white border border-gray-300 py-3 rounded-lg font-semibold hover:bg-gray-50 disabled:opacity-50"
+              >
+                Upload All Uncropped
+              </button>
+            )}
             <button
               type="button"
-              onClick={onClose}
-              disabled={saving}
-              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all"
+              onClick={onSkip}
+              disabled={processing}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all disabled:opacity-50"
             >
-              Cancel
+              Skip
             </button>
           </div>
-        </form>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Category picker for the product form. Creating a category inline saves
+// having to leave a half-filled product to add it under Categories first.
+function CategorySelect({ categories, value, legacyName, onChange, onCreated }) {
+  const can = usePermissions();
+  const [creating, setCreating] = useState(false);
+  const [newCategory, setNewCategory] = useState({ name: '', icon: '📦' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSelect = (e) => {
+    if (e.target.value === NEW_CATEGORY) {
+      setNewCategory({ name: legacyName || '', icon: '📦' });
+      setCreating(true);
+      return;
+    }
+    onChange(categories.find((category) => category._id === e.target.value) || null);
+  };
+
+  const create = async () => {
+    const name = newCategory.name.trim();
+    if (!name) {
+      setError('Enter a category name');
+      return;
+    }
+    const existing = categories.find((category) => normalizeCategoryName(category.name) === normalizeCategoryName(name));
+    if (existing) {
+      onChange(existing);
+      setCreating(false);
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      const payload = { name, icon: newCategory.icon || '📦', description: '', image: '' };
+      const response = await axios.post(`${API_URL}/categories`, payload);
+      const created = { ...payload, ...response.data?.category };
+      onCreated(created);
+      setCreating(false);
+    } catch (createError) {
+      console.error('Error creating category:', createError);
+      setError(apiErrorMessage(createError, 'Error creating category'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (creating) {
+    return (
+      <div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newCategory.icon}
+            onChange={(e) => setNewCategory({ ...newCategory, icon: e.target.value })}
+            className="w-16 px-2 py-2 border border-gray-300 rounded-lg text-center text-xl"
+            maxLength="2"
+            aria-label="Icon"
+          />
+          <input
+            type="text"
+            value={newCategory.name}
+            onChange={(e) => setNewCategory({ ...newCategory, name: e.target.value })}
+            // Enter would otherwise submit the product form
+            onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); create(); } }}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            placeholder="New category name"
+            autoFocus
+          />
+        </div>
+        <div className="flex gap-3 mt-2 text-sm">
+          <button type="button" onClick={create} disabled={saving} className="text-blue-600 hover:text-blue-800 font-medium disabled:opacity-50">
+            {saving ? 'Creating...' : 'Create category'}
+          </button>
+          <button type="button" onClick={() => { setCreating(false); setError(''); }} className="text-gray-600 hover:text-gray-800 font-medium">
+            Cancel
+          </button>
+        </div>
+        {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <select
+        value={value}
+        onChange={handleSelect}
+        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        required
+      >
+        <option value="">Select a category...</option>
+        <CategoryOptions categories={categories} />
+        {can('categories.edit') && <option value={NEW_CATEGORY}>+ New category...</option>}
+      </select>
+      {!value && legacyName && (
+        <p className="mt-1 text-sm text-yellow-700">
+          "{legacyName}" is not one of the managed categories. Pick one from the list.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// Product variants. `options` lists the axes a product comes in (e.g. Finish: Oak,
+// Walnut; Width: 120cm, 160cm) and `variants` holds one entry per combination with
+// its own SKU, price, stock and image. `priceMode` 'delta' adds `price` to the base
+// price; 'override' replaces it.
+const emptyVariant = (selection) => ({ options: selection, sku: '', priceMode: 'delta', price: 0, inStock: true, image: '' });
+
+const variantTitle = (variant, options) => options.map((option) => variant.options?.[option.name]).filter(Boolean).join(' / ');
+
+const variantPrice = (product, variant) => {
+  const amount = parseFloat(variant.price) || 0;
+  return roundPrice(variant.priceMode === 'override' ? amount : (parseFloat(product.basePrice) || 0) + amount);
+};
+
+// Every combination of the option values. `renamed` maps old axis names to new ones,
+// so renaming an axis keeps every variant. Entries for combinations that still exist
+// are kept; when an axis is added, new combinations start from the variant they
+// extend, minus the SKU, which must stay unique.
+export const buildVariantMatrix = (options, existing = [], renamed = {}) => {
+  const axes = options.filter((option) => option.name && option.values.length);
+  if (!axes.length) {
+    return [];
+  }
+
+  const carried = existing.map((variant) => ({
+    ...variant,
+    options: Object.fromEntries(Object.entries(variant.options || {}).map(([name, value]) => [renamed[name] || name, value]))
+  }));
+  const added = axes
+    .filter((axis) => carried.length && !carried.some((variant) => variant.options[axis.name] !== undefined))
+    .map((axis) => axis.name);
+  const combinations = axes.reduce(
+    (rows, axis) => rows.flatMap((row) => axis.values.map((value) => ({ ...row, [axis.name]: value }))),
+    [{}]
+  );
+  return combinations.map((selection) => {
+    const matches = (variant, skipped) => axes.every((axis) => (
+      skipped.includes(axis.name) || variant.options[axis.name] === selection[axis.name]
+    ));
+    const same = carried.find((variant) => matches(variant, []));
+    if (same) {
+      return { ...same, options: selection };
+    }
+    const extended = added.length && carried.find((variant) => matches(variant, added));
+    return extended ? { ...extended, options: selection, sku: '' } : emptyVariant(selection);
+  });
+};
+
+const parseOptionValues = (text) => Array.from(new Set(String(text).split(',').map((value) => value.trim()).filter(Boolean)));
+
+const validateVariants = (product) => {
+  const errors = [];
+  const seen = new Set();
+  (product.variants || []).forEach((variant) => {
+    const title = variantTitle(variant, product.options || []) || 'Variant';
+    const sku = String(variant.sku ?? '').trim().toLowerCase();
+    if (!sku) {
+      errors.push(`${title}: SKU is required`);
+    } else if (seen.has(sku)) {
+      errors.push(`${title}: SKU "${variant.sku}" is used by another variant`);
+    }
+    seen.add(sku);
+
+    const amount = parseFloat(variant.price);
+    if (Number.isNaN(amount)) {
+      errors.push(`${title}: price must be a number`);
+    } else if (variantPrice(product, variant) < 0) {
+      errors.push(`${title}: price cannot be negative`);
+    }
+  });
+  return errors;
+};
+
+// "6 variants · 4 in stock · $120–$180" for the products table
+const summarizeVariants = (product) => {
+  const variants = product.variants || [];
+  const prices = variants.map((variant) => variantPrice(product, variant));
+  const low = Math.min(...prices);
+  const high = Math.max(...prices);
+  return [
+    `${variants.length} variant${variants.length === 1 ? '' : 's'}`,
+    `${variants.filter((variant) => variant.inStock).length} in stock`,
+    low === high ? `$${low}` : `$${low}–$${high}`
+  ].join(' · ');
+};
+
+function VariantEditor({ options, variants, images, thumbnails, basePrice, canEditContent, canEditPrice, onChange }) {
+  // Value lists are edited as comma-separated text and turned into the matrix when the field is left.
+  // `source` is the axis name the variants currently use, so a renamed draft carries them over.
+  const [drafts, setDrafts] = useState(() => options.map((option) => ({ name: option.name, values: option.values.join(', '), source: option.name })));
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  const rebuild = (nextDrafts) => {
+    const nextOptions = nextDrafts
+      .map((draft) => ({ name: draft.name.trim(), values: parseOptionValues(draft.values) }))
+      .filter((option) => option.name && option.values.length);
+    const renamed = Object.fromEntries(nextDrafts
+      .filter((draft) => draft.source && draft.name.trim() && draft.source !== draft.name.trim())
+      .map((draft) => [draft.source, draft.name.trim()]));
+    onChange(nextOptions, buildVariantMatrix(nextOptions, variants, renamed));
+    setDrafts(nextDrafts.map((draft) => (
+      nextOptions.some((option) => option.name === draft.name.trim()) ? { ...draft, source: draft.name.trim() } : draft
+    )));
+  };
+
+  const updateDraft = (index, changes) => {
+    setDrafts(drafts.map((draft, i) => (i === index ? { ...draft, ...changes } : draft)));
+  };
+
+  const removeDraft = (index) => {
+    const nextDrafts = drafts.filter((_, i) => i !== index);
+    setDrafts(nextDrafts);
+    rebuild(nextDrafts);
+  };
+
+  const updateVariant = (index, changes) => {
+    onChange(options, variants.map((variant, i) => (i === index ? { ...variant, ...changes } : variant)));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        {drafts.map((draft, index) => (
+          <div key={index} className="flex gap-2">
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => updateDraft(index, { name: e.target.value })}
+              onBlur={() => rebuild(drafts)}
+              className={`${inputClass} md:w-48 md:flex-none`}
+              placeholder="Option, e.g. Finish"
+              disabled={!canEditContent}
+            />
+            <input
+              type="text"
+              value={draft.values}
+              onChange={(e) => updateDraft(index, { values: e.target.value })}
+              onBlur={() => rebuild(drafts)}
+              className={inputClass}
+              placeholder="Values, comma separated, e.g. Oak, Walnut, White"
+              disabled={!canEditContent}
+            />
+            {canEditContent && (
+              <button type="button" onClick={() => removeDraft(index)} className="px-3 text-red-600 hover:text-red-800 font-medium">
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+        {canEditContent && (
+          <button
+            type="button"
+            onClick={() => setDrafts([...drafts, { name: '', values: '', source: '' }])}
+            className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50"
+          >
+            + Add Option
+          </button>
+        )}
+      </div>
+
+      {variants.length > 0 && (
+        <div className="overflow-x-auto border border-gray-200 rounded-lg">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Variant</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">SKU *</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Price</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">In Stock</th>
+                <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Image</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {variants.map((variant, index) => (
+                <tr key={variantTitle(variant, options)}>
+                  <td className="px-3 py-2 font-medium whitespace-nowrap">{variantTitle(variant, options)}</td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="text"
+                      value={variant.sku}
+                      onChange={(e) => updateVariant(index, { sku: e.target.value })}
+                      className={`${inputClass} min-w-[8rem]`}
+                      disabled={!canEditContent}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center gap-1">
+                      <select
+                        value={variant.priceMode}
+                        onChange={(e) => updateVariant(index, { priceMode: e.target.value })}
+                        className="px-2 py-2 border border-gray-300 rounded-lg"
+                        disabled={!canEditPrice}
+                      >
+                        <option value="delta">+/−</option>
+                        <option value="override">=</option>
+                      </select>
+                      <input
+                        type="number"
+                        step="0.01"
+                        value={variant.price}
+                        onChange={(e) => updateVariant(index, { price: e.target.value })}
+                        className={`${inputClass} w-24`}
+                        disabled={!canEditPrice}
+                      />
+                      <span className="text-gray-500 whitespace-nowrap">${variantPrice({ basePrice }, variant)}</span>
+                    </div>
+                  </td>
+                  <td className="px-3 py-2">
+                    <input
+                      type="checkbox"
+                      checked={variant.inStock}
+                      onChange={(e) => updateVariant(index, { inStock: e.target.checked })}
+                      className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                      disabled={!canEditContent}
+                    />
+                  </td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center gap-2">
+                      {variant.image && (
+                        <img src={thumbnails[variant.image] || variant.image} alt="" className="w-8 h-8 rounded object-cover border border-gray-200" />
+                      )}
+                      <select
+                        value={images.includes(variant.image) ? variant.image : ''}
+                        onChange={(e) => updateVariant(index, { image: e.target.value })}
+                        className="px-2 py-2 border border-gray-300 rounded-lg"
+                        disabled={!canEditContent}
+                      >
+                        <option value="">Product image</option>
+                        {images.map((image, imageIndex) => (
+                          <option key={image} value={image}>Image {imageIndex + 1}</option>
+                        ))}
+                      </select>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Final prices in every enabled currency, rounded the way the storefront will show them
+function PricePreview({ product, currencies, globalRates }) {
+  const basePrice = parseFloat(product.basePrice) || 0;
+  const sale = product.sale && parseFloat(product.sale.value) > 0 ? saleFromDraft(product.sale) : null;
+  const saleBase = sale && salePrice(basePrice, sale);
+
+  return (
+    <div className="border border-gray-200 rounded-lg overflow-hidden">
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 border-b">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rate</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Converted</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer sees</th>
+            {sale && <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">On sale</th>}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {enabledCurrencies(currencies).map((currency) => {
+            const rate = productRate(product, currency.code, globalRates);
+            return (
+              <tr key={currency.code}>
+                <td className="px-4 py-2 font-medium">{currency.code}</td>
+                <td className="px-4 py-2 text-gray-600">
+                  {rate ?? '—'}
+                  {product.exchangeRates[currency.code] !== undefined && <span className="ml-1 text-xs text-blue-700">(override)</span>}
+                </td>
+                <td className="px-4 py-2 text-gray-500">
+                  {rate === undefined ? '—' : (basePrice * rate).toLocaleString(undefined, { maximumFractionDigits: 4 })}
+                </td>
+                <td className="px-4 py-2 font-semibold">
+                  {rate === undefined ? 'No rate set' : formatMoney(convertPrice(basePrice, rate, currency), currency)}
+                </td>
+                {sale && (
+                  <td className="px-4 py-2 font-semibold text-green-700">
+                    {rate !== undefined && formatMoney(convertPrice(saleBase, rate, currency), currency)}
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// Product Form Component
+function ProductForm({ product, onClose, onSave }) {
+  const can = usePermissions();
+  const canEditContent = can('products.edit');
+  // New products need a price, so whoever may create them may also price them
+  const canEditPrice = can('products.price') || (!product && canEditContent);
+  const readOnly = !canEditContent && !canEditPrice;
+  
+  const [formData, setFormData] = useState({
+    name: product?.name || '',
+    description: product?.description || '',
+    category: product?.category || '',
+    categoryId: product?.categoryId || '',
+    basePrice: product?.basePrice ?? '',
+    exchangeRates: product?.exchangeRates || {},
+    exchangeRateBasis: product?.exchangeRateBasis || {},
+    inStock: product?.inStock ?? true,
+    featured: product?.featured ?? false,
+    options: product?.options || [],
+    variants: product?.variants || [],
+    trackInventory: product?.trackInventory ?? false,
+    stock: product?.stock || {},
+    lowStockThreshold: product?.lowStockThreshold ?? 0,
+    sale: product?.sale ? saleToDraft(product.sale) : null
+  });
+  const [images, setImages] = useState(product?.images || []);
+  const [thumbnails, setThumbnails] = useState(product?.thumbnails || {});
+  const [pendingImages, setPendingImages] = useState([]);
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+  const [processingOptions, setProcessingOptions] = useState(loadImageProcessingOptions);
+  const [imageUrlInput, setImageUrlInput] = useState('');
+  const [imageUploadError, setImageUploadError] = useState('');
+  const [replaceIndex, setReplaceIndex] = useState(null);
+  const [dragImageIndex, setDragImageIndex] = useState(null);
+  const [tab, setTab] = useState('details');
+  const [categories, setCategories] = useState([]);
+  const [warehouses, setWarehouses] = useState(DEFAULT_WAREHOUSES);
+  const [globalRates, setGlobalRates] = useState(DEFAULT_EXCHANGE_RATES);
+  const [currencies, setCurrencies] = useState(DEFAULT_CURRENCIES);
+  const [adjustingStock, setAdjustingStock] = useState(false);
+  // Quantities of a product that already tracks stock only change through adjustments, which record a reason
+  const quantitiesEditable = !product?.trackInventory;
+
+  useEffect(() => {
+    loadWarehouses().then(setWarehouses);
+    loadGlobalRates().then(setGlobalRates);
+    loadCurrencies().then(setCurrencies);
+  }, []);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/categories`)
+      .then((response) => {
+        const items = response.data.categories || [];
+        setCategories(items);
+        // Link products saved with a free-text category when the name matches a record
+        setFormData((current) => {
+          const match = !current.categoryId && findProductCategory(items, current);
+          return match ? { ...current, ...categoryReference(match) } : current;
+        });
+      })
+      .catch((error) => console.error('Error loading categories:', error));
+  }, []);
+  const [saveError, setSaveError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [uploads, setUploads] = useState([]);
+  const replaceFileInputRef = useRef(null);
+  const uploadIdRef = useRef(0);
+
+  const mergeUniqueImages = (existingImages, newImages) => {
+    const seen = new Set(existingImages);
+    const uniqueToAdd = [];
+
+    newImages.forEach((image) => {
+      if (!seen.has(image)) {
+        seen.add(image);
+        uniqueToAdd.push(image);
+      }
+    });
+
+    return [...existingImages, ...uniqueToAdd];
+  };
+
+  const updateUpload = (id, changes) => {
+    setUploads((prevUploads) => prevUploads.map((upload) => (upload.id === id ? { ...upload, ...changes } : upload)));
+  };
+
+  const startUpload = async (upload) => {
+    updateUpload(upload.id, { status: 'uploading', progress: 0, error: '' });
+    // The thumbnail is small, so the full image gets most of the progress bar
+    const share = upload.thumbnail ? 0.9 : 1;
+    try {
+      const url = await uploadImageFile(upload.file, (progress) => updateUpload(upload.id, { progress: Math.round(progress * share) }));
+      const thumbnailUrl = upload.thumbnail
+        ? await uploadImageFile(upload.thumbnail, (progress) => updateUpload(upload.id, { progress: 90 + Math.round(progress / 10) }))
+        : null;
+      setUploads((prevUploads) => prevUploads.filter((item) => item.id !== upload.id));
+      if (thumbnailUrl) {
+        setThumbnails((prevThumbnails) => ({ ...prevThumbnails, [url]: thumbnailUrl }));
+      }
+      setImages((prevImages) => (upload.replaces && prevImages.includes(upload.replaces)
+        ? prevImages.map((image) => (image === upload.replaces ? url : image))
+        : mergeUniqueImages(prevImages, [url])));
+    } catch (error) {
+      console.error('Error uploading image:', error);
+      updateUpload(upload.id, { status: 'error', error: apiErrorMessage(error, 'Upload failed') });
+    }
+  };
+
+  // `replaces` is the image URL being swapped out, so a reorder during the upload cannot misplace it
+  const queueUploads = (items) => {
+    const queued = items.map(({ file, thumbnail = null, replaces = null }) => ({
+      id: ++uploadIdRef.current,
+      file,
+      thumbnail,
+      replaces,
+      status: 'uploading',
+      progress: 0,
+      error: ''
+    }));
+    setUploads((prevUploads) => [...prevUploads, ...queued]);
+    queued.forEach(startUpload);
+  };
+
+  const dismissUpload = (id) => {
+    setUploads((prevUploads) => prevUploads.filter((upload) => upload.id !== id));
+  };
+
+  // Selected files wait in `pendingImages` until they have been cropped and processed
+  const queueForProcessing = (items) => {
+    const passThrough = items.filter(({ file }) => UNPROCESSED_IMAGE_TYPES.includes(file.type));
+    if (passThrough.length) {
+      queueUploads(passThrough);
+    }
+    setPendingImages((prevPending) => [...prevPending, ...items.filter((item) => !passThrough.includes(item))]);
+  };
+
+  const updateProcessingOptions = (changes) => {
+    setProcessingOptions((prevOptions) => {
+      const nextOptions = { ...prevOptions, ...changes };
+      localStorage.setItem(IMAGE_PROCESSING_STORAGE_KEY, JSON.stringify(nextOptions));
+      return nextOptions;
+    });
+  };
+
+  const processPending = async (items, crop) => {
+    const processed = [];
+    for (const item of items) {
+      try {
+        processed.push({ ...item, ...(await processImage(item.file, crop, processingOptions)) });
+      } catch (error) {
+        console.error('Error processing image:', error);
+        setImageUploadError(`Unable to process ${item.file.name}.`);
+      }
+    }
+    queueUploads(processed);
+    setPendingImages((prevPending) => prevPending.filter((item) => !items.includes(item)));
+  };
+
+  const handleLocalImageUpload = (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (!files.length) {
+      return;
+    }
+
+    const invalidFile = files.find((file) => !file.type.startsWith('image/'));
+    if (invalidFile) {
+      setImageUploadError('Only image files are allowed.');
+      return;
+    }
+
+    setImageUploadError('');
+    queueForProcessing(files.map((file) => ({ file })));
+  };
+
+  const addImageFromUrl = () => {
+    const trimmed = imageUrlInput.trim();
+    if (!trimmed) {
+      return;
+    }
+
+    setImages((prevImages) => (prevImages.includes(trimmed) ? prevImages : [...prevImages, trimmed]));
+    setImageUrlInput('');
+    setImageUploadError('');
+  };
+
+  const removeImage = (indexToRemove) => {
+    setImages((prevImages) => prevImages.filter((_, index) => index !== indexToRemove));
+  };
+
+  const reorderImages = (fromIndex, toIndex) => {
+    if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0) {
+      return;
+    }
+
+    setImages((prevImages) => {
+      const nextImages = [...prevImages];
+      const [movedImage] = nextImages.splice(fromIndex, 1);
+      nextImages.splice(toIndex, 0, movedImage);
+      return nextImages;
+    });
+  };
+
+  const handleDragStart = (index) => {
+    setDragImageIndex(index);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+  };
+
+  const handleDrop = (targetIndex) => {
+    if (dragImageIndex === null) {
+      return;
+    }
+    reorderImages(dragImageIndex, targetIndex);
+    setDragImageIndex(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragImageIndex(null);
+  };
+
+  const openReplacePicker = (index) => {
+    setReplaceIndex(index);
+    if (replaceFileInputRef.current) {
+      replaceFileInputRef.current.click();
+    }
+  };
+
+  const handleReplaceImageUpload = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (replaceIndex === null || !file) {
+      return;
+    }
+
+    if (!file.type.startsWith('image/')) {
+      setImageUploadError('Only image files are allowed.');
+      setReplaceIndex(null);
+      return;
+    }
+
+    setImageUploadError('');
+    queueForProcessing([{ file, replaces: images[replaceIndex] }]);
+    setReplaceIndex(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaveError('');
+    const errors = validateProduct(formData);
+    if (!formData.categoryId) {
+      errors.push('Pick a category from the list');
+    }
+    if (formData.sale) {
+      errors.push(...validateSale(formData.sale, formData.basePrice));
+    }
+    if (errors.length) {
+      setSaveError(errors.join('. '));
+      return;
+    }
+    setSaving(true);
+    try {
+      const normalizedImages = normalizeImageList(images);
+
+      const variants = formData.variants.map((variant) => ({
+        ...variant,
+        sku: variant.sku.trim(),
+        price: parseFloat(variant.price) || 0,
+        image: normalizedImages.includes(variant.image) ? variant.image : ''
+      }));
+
+      const inventory = {
+        stock: Object.fromEntries(Object.entries(formData.stock).map(([id, quantity]) => [id, Math.max(0, parseInt(quantity, 10) || 0)])),
+        lowStockThreshold: Math.max(0, parseInt(formData.lowStockThreshold, 10) || 0)
+      };
+
+      const payload = {
+        ...formData,
+        ...inventory,
+        basePrice: parseFloat(formData.basePrice) || 0,
+        variants,
+        inStock: deriveInStock({ ...formData, ...inventory, variants }),
+        sale: formData.sale && saleFromDraft(formData.sale),
+        exchangeRates: Object.fromEntries(Object.entries(formData.exchangeRates).map(([code, rate]) => [code, Number(rate)])),
+        exchangeRateBasis: Object.fromEntries(
+          Object.entries(formData.exchangeRateBasis).filter(([code]) => formData.exchangeRates[code] !== undefined)
+        ),
+        images: normalizedImages,
+        image: normalizedImages[0] || '',
+        thumbnails: Object.fromEntries(
+          Object.entries(thumbnails).filter(([image]) => normalizedImages.includes(image))
+        )
+      };
+
+      if (product) {
+        await axios.put(`${API_URL}/products/${product._id}`, payload);
+      } else {
+        await axios.post(`${API_URL}/products`, payload);
+      }
+      await onSave();
+      onClose();
+    } catch (error) {
+      console.error('Error saving product:', error);
+      setSaveError(apiErrorMessage(error, 'Error saving product'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Clearing a rate hands the currency back to the global table
+  const updateExchangeRate = (currency, value) => {
+    if (value === '') {
+      resetExchangeRates([currency]);
+      return;
+    }
+    setFormData((current) => ({
+      ...current,
+      exchangeRates: { ...current.exchangeRates, [currency]: value },
+      exchangeRateBasis: { ...current.exchangeRateBasis, [currency]: globalRates[currency] }
+    }));
+  };
+
+  const resetExchangeRates = (currencies) => {
+    setFormData((current) => {
+      const exchangeRates = { ...current.exchangeRates };
+      const exchangeRateBasis = { ...current.exchangeRateBasis };
+      currencies.forEach((currency) => {
+        delete exchangeRates[currency];
+        delete exchangeRateBasis[currency];
+      });
+      return { ...current, exchangeRates, exchangeRateBasis };
+    });
+  };
+
+  const overriddenCurrencies = Object.keys(formData.exchangeRates);
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl max-w-4xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="sticky top-0 bg-white border-b px-6 py-4 flex justify-between items-center">
+          <div className="flex items-center gap-6">
+            <h2 className="text-2xl font-bold">{readOnly ? 'View' : product ? 'Edit' : 'Add'} Product</h2>
+            {product && (
+              <div className="flex gap-1 bg-gray-100 rounded-lg p-1 text-sm">
+                {[['details', 'Details'], ['history', 'History']].map(([id, label]) => (
+                  <button
+                    key={id}
+                    type="button"
+                    onClick={() => setTab(id)}
+                    className={`px-3 py-1 rounded-md font-medium ${tab === id ? 'bg-white shadow text-gray-900' : 'text-gray-500 hover:text-gray-700'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {tab === 'history' && (
+          <div className="p-6">
+            <AuditHistory entity="product" entityId={product._id} />
+          </div>
+        )}
+
+        {/* Kept mounted on the History tab so unsaved edits survive switching tabs */}
+        <form onSubmit={handleSubmit} className={`p-6 space-y-6 ${tab === 'history' ? 'hidden' : ''}`}>
+          {/* Basic Information */}
+          <fieldset disabled={!canEditContent}>
+            <h3 className="text-lg font-semibold mb-4">Basic Information</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Product Name *</label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({...formData, name: e.target.value})}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Category *</label>
+                <CategorySelect
+                  categories={categories}
+                  value={formData.categoryId}
+                  legacyName={formData.categoryId ? '' : formData.category}
+                  onChange={(category) => setFormData({
+                    ...formData,
+                    ...(category ? categoryReference(category) : { categoryId: '', category: '' })
+                  })}
+                  onCreated={(category) => {
+                    setCategories([...categories, category]);
+                    setFormData({...formData, ...categoryReference(category)});
+                  }}
+                />
+              </div>
+            </div>
+
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Description *</label>
+              <textarea
+                value={formData.description}
+                onChange={(e) => setFormData({...formData, description: e.target.value})}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                rows="3"
+                required
+              />
+            </div>
+          </fieldset>
+
+          {/* Pricing */}
+          <fieldset disabled={!canEditPrice}>
+            <h3 className="text-lg font-semibold mb-4">Pricing (Base Price in USD)</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Base Price (USD) *</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={formData.basePrice}
+                  onChange={(e) => setFormData({...formData, basePrice: e.target.value})}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  required
+                />
+              </div>
+            </div>
+
+            <div className="mt-4">
+              <label className="flex items-center mb-3">
+                <input
+                  type="checkbox"
+                  checked={Boolean(formData.sale)}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    sale: e.target.checked ? { type: 'percent', value: '', startsAt: '', endsAt: '' } : null
+                  })}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span className="ml-2 text-gray-700">On Sale</span>
+                {formData.sale?.campaignName && (
+                  <span className="ml-2 text-sm text-gray-500">from promotion "{formData.sale.campaignName}"</span>
+                )}
+              </label>
+              {formData.sale && (
+                <>
+                  <SaleFields draft={formData.sale} onChange={(sale) => setFormData({...formData, sale})} />
+                  {!validateSale(formData.sale, formData.basePrice).length && (
+                    <p className="mt-2 text-sm text-gray-600">
+                      Sale price ${salePrice(formData.basePrice, saleFromDraft(formData.sale))}
+                      {saleStatus(saleFromDraft(formData.sale)) === 'ended' && ' — this sale has already ended'}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+          </fieldset>
+
+          {/* Images */}
+          <fieldset disabled={!canEditContent}>
+            <h3 className="text-lg font-semibold mb-4">Product Images</h3>
+            <div className="flex gap-2">
+              <input
+                type="url"
+                value={imageUrlInput}
+                onChange={(e) => setImageUrlInput(e.target.value)}
+                className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                placeholder="https://example.com/image.jpg"
+              />
+              <button
+                type="button"
+                onClick={addImageFromUrl}
+                className="px-4 py-2 bg-blue-600 text-white rounded-lg font-medium hover:bg-blue-700"
+              >
+                Add URL
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowMediaPicker(true)}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50"
+              >
+                Pick from Library
+              </button>
+            </div>
+            {showMediaPicker && (
+              <MediaPickerDialog
+                onPick={(urls) => setImages((prevImages) => mergeUniqueImages(prevImages, urls))}
+                onClose={() => setShowMediaPicker(false)}
+              />
+            )}
+            <div className="mt-4">
+              <label className="block text-sm font-medium text-gray-700 mb-2">Upload from local machine</label>
+              <input
+                type="file"
+                accept="image/*"
+                multiple
+                onChange={handleLocalImageUpload}
+                className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-blue-100 file:text-blue-700 hover:file:bg-blue-200"
+              />
+              <p className="mt-2 text-xs text-gray-500">
+                Files are cropped, resized and re-encoded in the browser (metadata removed), then uploaded to image storage
+                together with a thumbnail; only their URLs are saved with the product.
+              </p>
+              {imageUploadError && (
+                <p className="mt-2 text-sm text-red-600">{imageUploadError}</p>
+              )}
+              {uploads.length > 0 && (
+                <ul className="mt-3 space-y-2">
+                  {uploads.map((upload) => (
+                    <li key={upload.id} className="text-sm">
+                      <div className="flex justify-between items-center gap-3">
+                        <span className="truncate text-gray-700">
+                          {upload.replaces ? 'Replacing with ' : ''}{upload.file.name}
+                        </span>
+                        {upload.status === 'error' ? (
+                          <span className="flex items-center gap-2 flex-shrink-0">
+                            <span className="text-red-600">{upload.error}</span>
+                            <button type="button" onClick={() => startUpload(upload)} className="text-blue-600 hover:text-blue-800 font-medium">
+                              Retry
+                            </button>
+                            <button type="button" onClick={() => dismissUpload(upload.id)} className="text-gray-500 hover:text-gray-700 font-medium">
+                              Dismiss
+                            </button>
+                          </span>
+                        ) : (
+                          <span className="text-gray-500 flex-shrink-0">{upload.progress}%</span>
+                        )}
+                      </div>
+                      <div className="mt-1 w-full bg-gray-200 rounded-full h-1.5">
+                        <div
+                          className={`h-1.5 rounded-full ${upload.status === 'error' ? 'bg-red-500' : 'bg-blue-600'}`}
+                          style={{ width: `${upload.progress}%` }}
+                        ></div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <input
+              ref={replaceFileInputRef}
+              type="file"
+              accept="image/*"
+              className="hidden"
+              onChange={handleReplaceImageUpload}
+            />
+            {pendingImages.length > 0 && (
+              <ImageProcessDialog
+                item={pendingImages[0]}
+                remaining={pendingImages.length - 1}
+                options={processingOptions}
+                onOptionsChange={updateProcessingOptions}
+                onProcess={(crop) => processPending([pendingImages[0]], crop)}
+                onProcessAll={() => processPending(pendingImages, null)}
+                onSkip={() => setPendingImages((prevPending) => prevPending.slice(1))}
+              />
+            )}
+            {images.length > 0 && (
+              <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3">
+                <div className="col-span-full text-xs text-gray-500">
+                  Drag images to reorder. The first image is used as the primary thumbnail.
+                </div>
+                {images.map((imageUrl, index) => (
+                  <div
+                    key={`${imageUrl}-${index}`}
+                    draggable
+                    onDragStart={() => handleDragStart(index)}
+                    onDragOver={handleDragOver}
+                    onDrop={() => handleDrop(index)}
+                    onDragEnd={handleDragEnd}
+                    className={`rounded-lg border bg-gray-100 overflow-hidden cursor-move ${
+                      index === 0 ? 'border-blue-400' : 'border-gray-200'
+                    }`}
+                  >
+                    <div className="w-full aspect-square">
+                      <img
+                        src={thumbnails[imageUrl] || imageUrl}
+                        alt={`Preview ${index + 1}`}
+                        className="w-full h-full object-cover"
+                      />
+                    </div>
+                    <div className="p-2">
+                      <div className="text-xs text-gray-600 mb-2">
+                        {index === 0 ? 'Primary image' : `Position ${index + 1}`}
+                      </div>
+                      <div className="flex gap-2">
+                      <button
+                        type="button"
+                        onClick={() => openReplacePicker(index)}
+                        className="flex-1 text-xs bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700"
+                      >
+                        Replace
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => removeImage(index)}
+                        className="flex-1 text-xs bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700"
+                      >
+                        Delete
+                      </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </fieldset>
+
+          {/* Variants */}
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Variants</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Add options such as finish or size; a variant is generated for every combination of their values.
+            </p>
+            <VariantEditor
+              options={formData.options}
+              variants={formData.variants}
+              images={images}
+              thumbnails={thumbnails}
+              basePrice={formData.basePrice}
+              canEditContent={canEditContent}
+              canEditPrice={canEditPrice}
+              onChange={(options, variants) => setFormData((current) => ({ ...current, options, variants }))}
+            />
+          </div>
+
+          {/* Exchange Rates */}
+          <fieldset disabled={!canEditPrice}>
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-semibold">Exchange Rates</h3>
+              {overriddenCurrencies.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => resetExchangeRates(overriddenCurrencies)}
+                  className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                >
+                  Reset all to global
+                </button>
+              )}
+            </div>
+            <p className="text-sm text-gray-600 mb-4">
+              Blank rates follow the global rates in Settings. Enter a rate to override it for this product only.
+            </p>
+            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
+              {enabledCurrencies(currencies).map(({ code: currency }) => {
+                const overridden = formData.exchangeRates[currency] !== undefined;
+                const invalid = overridden && !isValidRate(formData.exchangeRates[currency]);
+                const stale = overridden && isStaleOverride(formData, currency, globalRates);
+                return (
+                  <div key={currency}>
+                    <label className="flex items-center justify-between text-sm font-medium text-gray-700 mb-2">
+                      <span>{currency}</span>
+                      {overridden && (
+                        <span
+                          className={`px-1.5 py-0.5 rounded text-xs ${stale ? 'bg-amber-100 text-amber-700' : 'bg-blue-100 text-blue-700'}`}
+                          title={stale ? 'The global rate has changed since this override was set' : 'Overrides the global rate'}
+                        >
+                          {stale ? 'Stale' : 'Override'}
+                        </span>
+                      )}
+                    </label>
+                    <input
+                      type="number"
+                      step="0.01"
+                      value={overridden ? formData.exchangeRates[currency] : ''}
+                      placeholder={String(globalRates[currency] ?? '')}
+                      onChange={(e) => updateExchangeRate(currency, e.target.value)}
+                      className={`w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${
+                        invalid ? 'border-red-500 bg-red-50' : overridden ? 'border-blue-400 bg-blue-50 font-medium' : 'border-gray-300'
+                      }`}
+                    />
+                    <div className="text-xs text-gray-500 mt-1">
+                      {invalid && <p className="text-red-600">Enter a rate above 0</p>}
+                      {overridden ? (
+                        <button
+                          type="button"
+                          onClick={() => resetExchangeRates([currency])}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          Reset to global ({globalRates[currency]})
+                        </button>
+                      ) : 'Global rate'}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </fieldset>
+
+          {/* Price Preview */}
+          <div>
+            <h3 className="text-lg font-semibold mb-2">Price Preview</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Final prices after each currency's rounding rules (set under Settings → Currencies).
+            </p>
+            <PricePreview product={formData} currencies={currencies} globalRates={globalRates} />
+          </div>
+
+          {/* Status */}
+          <fieldset disabled={!canEditContent}>
+            <h3 className="text-lg font-semibold mb-4">Status</h3>
+            <div className="flex gap-6">
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={deriveInStock(formData)}
+                  onChange={(e) => setFormData({...formData, inStock: e.target.checked})}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                  disabled={formData.trackInventory || formData.variants.length > 0}
+                />
+                <span className="ml-2 text-gray-700">
+                  In Stock
+                  {(formData.trackInventory || formData.variants.length > 0) && (
+                    <span className="text-gray-500 text-sm"> (from {formData.trackInventory ? 'quantity' : 'variants'})</span>
+                  )}
+                </span>
+              </label>
+
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.featured}
+                  onChange={(e) => setFormData({...formData, featured: e.target.checked})}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span className="ml-2 text-gray-700">Featured Product</span>
+              </label>
+
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  checked={formData.trackInventory}
+                  onChange={(e) => setFormData({...formData, trackInventory: e.target.checked})}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span className="ml-2 text-gray-700">Track Inventory</span>
+              </label>
+            </div>
+
+            {formData.trackInventory && (
+              <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4">
+                {warehouses.map((warehouse) => (
+                  <div key={warehouse.id}>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      {warehouses.length > 1 ? warehouse.name : 'On Hand'}
+                    </label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={formData.stock[warehouse.id] ?? 0}
+                      onChange={(e) => setFormData({...formData, stock: {...formData.stock, [warehouse.id]: e.target.value}})}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100"
+                      disabled={!quantitiesEditable}
+                    />
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Low-Stock Threshold</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={formData.lowStockThreshold}
+                    onChange={(e) => setFormData({...formData, lowStockThreshold: e.target.value})}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+                <p className="col-span-full text-xs text-gray-500">
+                  The product shows as out of stock once the total on hand is at or below the threshold.
+                  {!quantitiesEditable && ' Quantities change through stock adjustments.'}
+                </p>
+                {!quantitiesEditable && can('inventory.adjust') && (
+                  <div className="col-span-full">
+                    <button
+                      type="button"
+                      onClick={() => setAdjustingStock(true)}
+                      className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50"
+                    >
+                      Adjust Stock
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </fieldset>
+
+          {/* Actions */}
+          {saveError && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">
+              {saveError}
+            </div>
+          )}
+          <div className="flex gap-4 pt-4 border-t">
+            {!readOnly && (
+              <button
+                type="submit"
+                disabled={saving || pendingImages.length > 0 || uploads.some((upload) => upload.status === 'uploading')}
+                className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : uploads.some((upload) => upload.status === 'uploading') ? 'Uploading images...' : `${product ? 'Update' : 'Create'} Product`}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={saving}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all"
+            >
+              {readOnly ? 'Close' : 'Cancel'}
+            </button>
+          </div>
+        </form>
+
+        {adjustingStock && (
+          <StockAdjustmentDialog
+            product={{ ...product, stock: formData.stock }}
+            warehouses={warehouses}
+            onClose={() => setAdjustingStock(false)}
+            onDone={(updated) => {
+              setFormData((current) => ({ ...current, stock: updated.stock, inStock: updated.inStock }));
+              return onSave();
+            }}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Categories View
+function CategoriesView() {
+  const can = usePermissions();
+  const navigate = useNavigate();
+  const [categories, setCategories] = useState([]);
+  const [productCounts, setProductCounts] = useState(null);
+  const [removing, setRemoving] = useState(null);
+  const [dragged, setDragged] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const canArrange = can('categories.edit');
+
+  useEffect(() => {
+    loadCategories();
+  }, []);
+
+  const loadCategories = async () => {
+    try {
+      const [response, stats] = await Promise.all([
+        axios.get(`${API_URL}/categories`),
+        // Counts are informational; the categories still load when the stats do not
+        loadProductStats().catch((error) => {
+          console.error('Error loading product counts:', error);
+          return null;
+        })
+      ]);
+      const items = response.data.categories || [];
+      setCategories(items);
+      // Stats group by categoryId and name, so entries are matched the same way products are
+      setProductCounts(stats && (stats.byCategory || []).reduce((counts, entry) => {
+        const category = findProductCategory(items, entry);
+        return category ? { ...counts, [category._id]: (counts[category._id] || 0) + entry.count } : counts;
+      }, {}));
+    } catch (error) {
+      console.error('Error loading categories:', error);
+      setCategories([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const importCategories = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+
+    let items;
+    try {
+      items = readCatalogueJson(await file.text(), 'categories').filter((item) => item?.name);
+    } catch (error) {
+      alert(error instanceof SyntaxError ? 'This file is not valid JSON.' : error.message);
+      return;
+    }
+    if (!window.confirm(`Import ${items.length} categories? Existing categories with the same name are updated.`)) {
+      return;
+    }
+
+    const byName = new Map(categories.map((category) => [category.name.trim().toLowerCase(), category]));
+    const failed = [];
+    const saved = new Map();
+    for (const { name, icon, description, image } of items) {
+      const existing = byName.get(name.trim().toLowerCase());
+      try {
+        if (existing) {
+          await axios.put(`${API_URL}/categories/${existing._id}`, { name, icon, description, image }, auditNote('Category import'));
+          saved.set(normalizeCategoryName(name), existing);
+        } else {
+          const response = await axios.post(`${API_URL}/categories`, { name, icon, description, image }, auditNote('Category import'));
+          const created = { name, icon, description, image, ...response.data?.category };
+          saved.set(normalizeCategoryName(name), created);
+        }
+      } catch (error) {
+        failed.push(`${name}: ${apiErrorMessage(error)}`);
+      }
+    }
+
+    // Parents are linked in a second pass, once every imported category exists here.
+    // The file's ids belong to the exporting environment, so parents are matched by name.
+    const exportedNames = new Map(items.map((item) => [item._id, item.name]));
+    for (const item of items) {
+      const record = saved.get(normalizeCategoryName(item.name));
+      const parentName = exportedNames.get(item.parentId);
+      const changes = {
+        parentId: (parentName && saved.get(normalizeCategoryName(parentName))?._id) || null,
+        order: item.order ?? 0
+      };
+      if (!record || ((record.parentId || null) === changes.parentId && (record.order ?? 0) === changes.order)) {
+        continue;
+      }
+      try {
+        await axios.put(`${API_URL}/categories/${record._id}`, changes, auditNote('Category import'));
+      } catch (error) {
+        failed.push(`${item.name} (parent): ${apiErrorMessage(error)}`);
+      }
+    }
+    await loadCategories();
+    alert(failed.length
+      ? `Imported ${items.length - failed.length} of ${items.length} categories.\n\nFailed:\n${failed.join('\n')}`
+      : `Imported ${items.length} categories.`);
+  };
+
+  // Parent as shown in the tree: a category whose parent is gone counts as top level
+  const parentOf = (category) => (categories.some((item) => item._id === category.parentId) ? category.parentId : null);
+
+  const moveCategory = async (category, target, position) => {
+    if (target?._id === category._id) {
+      return;
+    }
+    const parentId = position === 'inside' ? target._id : position === 'root' ? null : parentOf(target);
+    if (parentId && isWithinCategory(categories, parentId, category._id)) {
+      alert('A category cannot be moved inside itself or one of its subcategories.');
+      return;
+    }
+
+    const siblings = categories
+      .filter((item) => parentOf(item) === parentId && item._id !== category._id)
+      .sort(compareCategories);
+    const targetIndex = siblings.findIndex((item) => item._id === target?._id);
+    siblings.splice(position === 'before' ? targetIndex : position === 'after' ? targetIndex + 1 : siblings.length, 0, category);
+    const updates = siblings
+      .map((item, order) => ({ item, changes: { parentId, order } }))
+      .filter(({ item, changes }) => (item.parentId || null) !== changes.parentId || (item.order ?? 0) !== changes.order);
+    if (!updates.length) {
+      return;
+    }
+
+    setCategories((current) => current.map((item) => {
+      const update = updates.find((entry) => entry.item._id === item._id);
+      return update ? { ...item, ...update.changes } : item;
+    }));
+    const failed = [];
+    for (const { item, changes } of updates) {
+      try {
+        await axios.put(`${API_URL}/categories/${item._id}`, changes);
+      } catch (error) {
+        failed.push(`${item.name}: ${apiErrorMessage(error)}`);
+      }
+    }
+    if (failed.length) {
+      alert(`Some categories could not be moved:\n${failed.join('\n')}`);
+      loadCategories();
+    }
+  };
+
+  // The top or bottom quarter of a row places the dragged category before or after it;
+  // the middle makes it a subcategory
+  const handleDragOver = (e, category) => {
+    if (!dragged) {
+      return;
+    }
+    e.preventDefault();
+    let position = 'root';
+    if (category) {
+      const rect = e.currentTarget.getBoundingClientRect();
+      const offset = (e.clientY - rect.top) / rect.height;
+      position = offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside';
+    }
+    const id = category?._id || null;
+    if (dropTarget?.id !== id || dropTarget?.position !== position) {
+      setDropTarget({ id, position });
+    }
+  };
+
+  const handleDrop = (e, category) => {
+    e.preventDefault();
+    if (dragged && dropTarget) {
+      moveCategory(dragged, category, dropTarget.position);
+    }
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  const handleDragEnd = () => {
+    setDragged(null);
+    setDropTarget(null);
+  };
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Categories Management</h1>
+        <div className="flex gap-3">
+          <ExportMenu onExport={(format) => exportCategories(format, categories)} />
+          {can('categories.edit') && (
+            <>
+              <label className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all cursor-pointer">
+                Import JSON
+                <input type="file" accept=".json,application/json" onChange={importCategories} className="hidden" />
+              </label>
+              {can('products.edit') && (
+                <button
+                  onClick={() => navigate('/categories/reconcile')}
+                  className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all"
+                >
+                  Reconcile Products
+                </button>
+              )}
+              <button
+                onClick={() => navigate('/categories/new')}
+                className="bg-gradient-to-r from-purple-600 to-purple-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+              >
+                + Add Category
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {categories.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-lg text-center py-12 text-gray-500">
+          No categories yet. Click "Add Category" to create one.
+        </div>
+      ) : (
+        <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+          {canArrange && (
+            <div className="px-6 py-3 bg-gray-50 border-b text-xs text-gray-500">
+              Drag a category onto the top or bottom edge of another to reorder, or onto its middle to make it a subcategory.
+            </div>
+          )}
+          {flattenCategoryTree(categories).map(({ category, depth }) => {
+            const dropPosition = dropTarget?.id === category._id ? dropTarget.position : null;
+            return (
+              <div
+                key={category._id}
+                draggable={canArrange}
+                onDragStart={() => setDragged(category)}
+                onDragOver={(e) => handleDragOver(e, category)}
+                onDrop={(e) => handleDrop(e, category)}
+                onDragEnd={handleDragEnd}
+                style={{ paddingLeft: `${1.5 + depth * 2}rem` }}
+                className={`flex items-center gap-4 pr-6 py-4 border-b border-gray-100 ${
+                  dropPosition === 'before' ? 'border-t-2 border-t-purple-500' : ''
+                } ${dropPosition === 'after' ? 'border-b-2 border-b-purple-500' : ''} ${
+                  dropPosition === 'inside' ? 'bg-purple-50' : ''
+                } ${dragged?._id === category._id ? 'opacity-50' : ''}`}
+              >
+                {canArrange && <span className="text-gray-400 cursor-move select-none" title="Drag to move">⠿</span>}
+                <div className="text-3xl">{category.icon}</div>
+                {category.image && (
+                  <img src={category.image} alt="" className="w-12 h-12 rounded-lg object-cover" />
+                )}
+                <div className="flex-1 min-w-0">
+                  <h3 className="text-lg font-bold text-gray-800">{category.name}</h3>
+                  <p className="text-gray-600 text-sm truncate">{category.description}</p>
+                </div>
+                {productCounts && (
+                  <span className="text-sm text-gray-500 whitespace-nowrap">
+                    {productCounts[category._id] || 0} product{productCounts[category._id] === 1 ? '' : 's'}
+                  </span>
+                )}
+                <div className="flex gap-2">
+                  {can('categories.edit') && (
+                    <button
+                      onClick={() => navigate(`/categories/${category._id}/edit`)}
+                      className="bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700"
+                    >
+                      Edit
+                    </button>
+                  )}
+                  {can('categories.delete') && can('products.edit') && categories.length > 1 && (
+                    <button
+                      onClick={() => setRemoving({ category, merge: true })}
+                      className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg font-medium hover:bg-gray-50"
+                    >
+                      Merge
+                    </button>
+                  )}
+                  {can('categories.delete') && (
+                    <button
+                      onClick={() => setRemoving({ category, merge: false })}
+                      className="bg-red-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-700"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+          {dragged && (
+            <div
+              onDragOver={(e) => handleDragOver(e, null)}
+              onDrop={(e) => handleDrop(e, null)}
+              className={`px-6 py-4 text-center text-sm ${dropTarget?.position === 'root' ? 'bg-purple-50 text-purple-700' : 'text-gray-400'}`}
+            >
+              Drop here to move to the top level
+            </div>
+          )}
+        </div>
+      )}
+
+      {removing && (
+        <CategoryRemoveDialog
+          category={removing.category}
+          merge={removing.merge}
+          categories={categories}
+          onClose={() => setRemoving(null)}
+          onDone={loadCategories}
+        />
+      )}
+
+      <Routes>
+        <Route
+          path="new"
+          element={(
+            <RequirePermission permission="categories.edit" redirectTo="/categories">
+              <CategoryForm category={null} categories={categories} onClose={() => navigate('/categories')} onSave={loadCategories} />
+            </RequirePermission>
+          )}
+        />
+        <Route
+          path="reconcile"
+          element={(
+            <RequirePermission permission="categories.edit" redirectTo="/categories">
+              <RequirePermission permission="products.edit" redirectTo="/categories">
+                <CategoryReconcileWizard categories={categories} onClose={() => navigate('/categories')} onDone={loadCategories} />
+              </RequirePermission>
+            </RequirePermission>
+          )}
+        />
+        <Route
+          path=":id/edit"
+          element={(
+            <RequirePermission permission="categories.edit" redirectTo="/categories">
+              <EditCategoryRoute categories={categories} onClose={() => navigate('/categories')} onSave={loadCategories} />
+            </RequirePermission>
+          )}
+        />
+      </Routes>
+    </div>
+  );
+}
+
+function EditCategoryRoute({ categories, onClose, onSave }) {
+  const { id } = useParams();
+  const category = categories.find((c) => c._id === id);
+
+  if (!category) {
+    return <Navigate to="/categories" replace />;
+  }
+
+  return <CategoryForm key={category._id} category={category} categories={categories} onClose={onClose} onSave={onSave} />;
+}
+
+// One-off clean-up for products saved while the category was free text:
+// each distinct text is mapped onto a category record and its products are linked to it
+function CategoryReconcileWizard({ categories, onClose, onDone }) {
+  const [knownCategories] = useState(categories);
+  const [groups, setGroups] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState(null);
+
+  useEffect(() => {
+    const linkedIds = new Set(knownCategories.map((category) => category._id));
+    // Loose match so "Outdoors " finds "outdoor"
+    const looseName = (name) => normalizeCategoryName(name).replace(/[^a-z0-9]/g, '').replace(/s$/, '');
+
+    fetchAllProducts()
+      .then((products) => {
+        const byText = new Map();
+        products
+          .filter((product) => !linkedIds.has(product.categoryId))
+          .forEach((product) => {
+            const key = normalizeCategoryName(product.category);
+            if (!byText.has(key)) {
+              byText.set(key, { key, label: String(product.category ?? '').trim(), products: [] });
+            }
+            byText.get(key).products.push(product);
+          });
+
+        setGroups(Array.from(byText.values())
+          .sort((a, b) => b.products.length - a.products.length)
+          .map((group) => {
+            const match = knownCategories.find((category) => normalizeCategoryName(category.name) === group.key)
+              || knownCategories.find((category) => looseName(category.name) === looseName(group.label));
+            return { ...group, target: match ? match._id : group.label ? NEW_CATEGORY : '' };
+          }));
+      })
+      .catch((error) => {
+        console.error('Error loading products for reconciliation:', error);
+        setLoadError('Could not load products.');
+      });
+  }, [knownCategories]);
+
+  const setTarget = (key, target) => {
+    setGroups((current) => current.map((group) => (group.key === key ? { ...group, target } : group)));
+  };
+
+  const work = (groups || []).filter((group) => group.target);
+  const productCount = work.reduce((sum, group) => sum + group.products.length, 0);
+
+  const apply = async () => {
+    const failures = [];
+    let done = 0;
+    setProgress(0);
+    // One request at a time, as with bulk actions
+    for (const group of work) {
+      let category = knownCategories.find((item) => item._id === group.target);
+      if (group.target === NEW_CATEGORY) {
+        try {
+          const payload = { name: group.label, icon: '📦', description: '', image: '' };
+          const response = await axios.post(`${API_URL}/categories`, payload, auditNote('Category reconciliation'));
+          category = { ...payload, ...response.data?.category };
+        } catch (error) {
+          failures.push({ name: `Category "${group.label}"`, message: apiErrorMessage(error) });
+          done += group.products.length;
+          setProgress(done);
+          continue;
+        }
+      }
+
+      const changes = categoryReference(category);
+      for (const product of group.products) {
+        try {
+          await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote('Category reconciliation'));
+        } catch (error) {
+          failures.push({ name: product.name, message: apiErrorMessage(error) });
+        }
+        done += 1;
+        setProgress(done);
+      }
+    }
+    setResults({ failures });
+    onDone();
+  };
+
+  const running = progress !== null && !results;
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={running ? undefined : onClose}>
+      <div className="bg-white rounded-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4">
+          <h2 className="text-2xl font-bold">Reconcile Product Categories</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Products whose category was typed in by hand are linked to a category record.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loadError && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{loadError}</div>
+          )}
+
+          {!groups && !loadError && <div className="text-center py-12"><div className="spinner mx-auto"></div></div>}
+
+          {groups && groups.length === 0 && (
+            <p className="text-center py-8 text-gray-500">Every product is already linked to a category.</p>
+          )}
+
+          {groups && groups.length > 0 && !results && (
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50 border-b">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Category text</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Products</th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Link to</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {groups.map((group) => (
+                  <tr key={group.key}>
+                    <td className="px-4 py-2 font-medium">{group.label || <span className="text-gray-400">(empty)</span>}</td>
+                    <td className="px-4 py-2 text-gray-600">{group.products.length}</td>
+                    <td className="px-4 py-2">
+                      <select
+                        value={group.target}
+                        onChange={(e) => setTarget(group.key, e.target.value)}
+                        disabled={running}
+                        className="w-full px-3 py-1 border border-gray-300 rounded-lg"
+                      >
+                        <option value="">Leave unchanged</option>
+                        {group.label && <option value={NEW_CATEGORY}>+ Create "{group.label}"</option>}
+                        <CategoryOptions categories={knownCategories} />
+                      </select>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {running && (
+            <p className="text-gray-600">Updating {progress} of {productCount} products...</p>
+          )}
+
+          {results && (
+            results.failures.length === 0 ? (
+              <div className="bg-green-100 border border-green-300 text-green-700 px-4 py-3 rounded-lg">
+                Linked {productCount} products to their categories.
+              </div>
+            ) : (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="font-semibold text-red-800 mb-2">{results.failures.length} failed:</p>
+                <ul className="text-sm text-red-700 space-y-1">
+                  {results.failures.map((failure, index) => (
+                    <li key={index}>{failure.name}: {failure.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )
+          )}
+
+          <div className="flex gap-4 pt-2">
+            {!results && groups && groups.length > 0 && (
+              <button
+                onClick={apply}
+                disabled={running || productCount === 0}
+                className="flex-1 bg-gradient-to-r from-purple-600 to-purple-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg disabled:opacity-50"
+              >
+                Link {productCount} products
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              disabled={running}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 disabled:opacity-50"
+            >
+              {results ? 'Close' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Deleting or merging a category first moves its products to another category,
+// so no product is left pointing at a category that no longer exists
+function CategoryRemoveDialog({ category, merge, categories, onClose, onDone }) {
+  const can = usePermissions();
+  const [products, setProducts] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [targetId, setTargetId] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [failures, setFailures] = useState(null);
+
+  useEffect(() => {
+    fetchCategoryProducts(category, categories)
+      .then(setProducts)
+      .catch((error) => {
+        console.error('Error loading category products:', error);
+        setLoadError('Could not load the products in this category, so it cannot be removed safely.');
+      });
+  }, [category, categories]);
+
+  const target = categories.find((item) => item._id === targetId && item._id !== category._id);
+  const subcategories = categories.filter((item) => item.parentId === category._id);
+  const needsTarget = merge || products?.length > 0;
+  const canMove = can('products.edit');
+
+  const run = async () => {
+    const failed = [];
+    setProgress(0);
+    if (target) {
+      const changes = categoryReference(target);
+      for (const product of products) {
+        try {
+          await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote(`Moved from category "${category.name}"`));
+        } catch (error) {
+          failed.push(`${product.name}: ${apiErrorMessage(error)}`);
+        }
+        setProgress((count) => count + 1);
+      }
+    }
+
+    // Subcategories move up one level rather than being left without a parent
+    for (const child of subcategories) {
+      const changes = { parentId: category.parentId || null };
+      try {
+        await axios.put(`${API_URL}/categories/${child._id}`, changes, auditNote(`Parent "${category.name}" removed`));
+      } catch (error) {
+        failed.push(`${child.name}: ${apiErrorMessage(error)}`);
+      }
+    }
+
+    // Keep the category while any of its products or subcategories could not be moved
+    if (failed.length === 0) {
+      try {
+        await axios.delete(`${API_URL}/categories/${category._id}`, auditNote(target && (merge ? `Merged into "${target.name}"` : `Products moved to "${target.name}"`)));
+      } catch (error) {
+        console.error('Error deleting category:', error);
+        failed.push(apiErrorMessage(error, 'Error deleting category'));
+      }
+    }
+    setFailures(failed);
+    onDone();
+  };
+
+  const running = progress !== null && !failures;
+  const productCount = products?.length || 0;
+  const selectClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={running ? undefined : onClose}>
+      <div className="bg-white rounded-2xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4">
+          <h2 className="text-2xl font-bold">{merge ? 'Merge' : 'Delete'} {category.icon} {category.name}</h2>
+        </div>
+
+        <div className="p-6 space-y-4">
+          {loadError && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{loadError}</div>
+          )}
+
+          {!products && !loadError && <div className="text-center py-8"><div className="spinner mx-auto"></div></div>}
+
+          {products && !failures && (
+            <>
+              <p className="text-gray-700">
+                {productCount === 0
+                  ? 'This category has no products.'
+                  : `This category contains ${productCount} product${productCount === 1 ? '' : 's'}.`}
+                {subcategories.length > 0 && ` Its ${subcategories.length} subcategor${subcategories.length === 1 ? 'y moves' : 'ies move'} up one level.`}
+              </p>
+
+              {needsTarget && (canMove || productCount === 0) && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {merge ? 'Merge into' : 'Move its products to'}
+                  </label>
+                  <select value={targetId} onChange={(e) => setTargetId(e.target.value)} className={selectClass} disabled={running}>
+                    <option value="">Select a category...</option>
+                    <CategoryOptions categories={categories} exclude={(item) => item._id === category._id} />
+                  </select>
+                  <p className="mt-2 text-sm text-gray-500">
+                    {merge
+                      ? `Its products move to the selected category, then "${category.name}" is deleted.`
+                      : `"${category.name}" is deleted once its products have moved.`}
+                  </p>
+                </div>
+              )}
+
+              {productCount > 0 && !canMove && (
+                <p className="text-sm text-red-700">You are not allowed to move products, so this category cannot be removed while it has products.</p>
+              )}
+
+              {running && <p className="text-gray-600">Moving {progress} of {productCount} products...</p>}
+            </>
+          )}
+
+          {failures && (
+            failures.length === 0 ? (
+              <div className="bg-green-100 border border-green-300 text-green-700 px-4 py-3 rounded-lg">
+                {target
+                  ? `Moved ${productCount} product${productCount === 1 ? '' : 's'} to "${target.name}" and deleted "${category.name}".`
+                  : `Deleted "${category.name}".`}
+              </div>
+            ) : (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="font-semibold text-red-800 mb-2">"{category.name}" was not deleted:</p>
+                <ul className="text-sm text-red-700 space-y-1">
+                  {failures.map((failure, index) => <li key={index}>{failure}</li>)}
+                </ul>
+              </div>
+            )
+          )}
+
+          <div className="flex gap-4 pt-2">
+            {products && !failures && (!needsTarget || canMove || productCount === 0) && (
+              <button
+                onClick={run}
+                disabled={running || (needsTarget && !target)}
+                className="flex-1 bg-red-600 text-white py-3 rounded-lg font-semibold hover:bg-red-700 disabled:opacity-50"
+              >
+                {merge ? 'Merge' : productCount > 0 ? 'Move and Delete' : 'Delete'}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              disabled={running}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 disabled:opacity-50"
+            >
+              {failures ? 'Close' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Products keep a copy of the category name, so a rename is carried over to them
+const renameProductCategory = async (category, name, categories) => {
+  let products;
+  try {
+    products = await fetchCategoryProducts(category, categories);
+  } catch (error) {
+    console.error('Error loading products for category rename:', error);
+    alert('The category was renamed, but its products could not be loaded to update them.');
+    return;
+  }
+  const changes = categoryReference({ ...category, name });
+  const failed = [];
+  for (const product of products) {
+    try {
+      await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote('Category renamed'));
+    } catch (error) {
+      failed.push(`${product.name}: ${apiErrorMessage(error)}`);
+    }
+  }
+  if (failed.length) {
+    alert(`The category was renamed, but ${failed.length} products still show the old name:\n${failed.join('\n')}`);
+  }
+};
+
+// Category Form
+function CategoryForm({ category, categories, onClose, onSave }) {
+  const [formData, setFormData] = useState(category ? { ...category, parentId: category.parentId || '' } : {
+    name: '',
+    description: '',
+    icon: '📦',
+    image: '',
+    parentId: ''
+  });
+  const [showMediaPicker, setShowMediaPicker] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const parentId = formData.parentId || null;
+    if (category && parentId && isWithinCategory(categories, parentId, category._id)) {
+      alert('A category cannot be placed inside itself or one of its subcategories.');
+      return;
+    }
+    // Products and filters reference categories by id, but two siblings with one name could not be told apart in a picker
+    const name = normalizeCategoryName(formData.name);
+    if (categories.some((item) => item._id !== category?._id && (item.parentId || null) === parentId && normalizeCategoryName(item.name) === name)) {
+      alert(`There is already a category called "${formData.name.trim()}" here.`);
+      return;
+    }
+    const payload = { ...formData, parentId };
+    // A new or re-parented category goes to the end of its new siblings
+    if (!category || (category.parentId || null) !== parentId) {
+      payload.order = categories.filter((item) => (item.parentId || null) === parentId).length;
+    }
+
+    try {
+      if (category) {
+        await axios.put(`${API_URL}/categories/${category._id}`, payload);
+        if (formData.name !== category.name) {
+          await renameProductCategory(category, formData.name, categories);
+        }
+      } else {
+        await axios.post(`${API_URL}/categories`, payload);
+      }
+      onSave();
+      onClose();
+    } catch (error) {
+      console.error('Error saving category:', error);
+      alert(apiErrorMessage(error, 'Error saving category'));
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4 flex justify-between items-center">
+          <h2 className="text-2xl font-bold">{category ? 'Edit' : 'Add'} Category</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Category Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({...formData, name: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Parent Category</label>
+            <select
+              value={formData.parentId}
+              onChange={(e) => setFormData({...formData, parentId: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+            >
+              <option value="">None (top level)</option>
+              <CategoryOptions
+                categories={categories}
+                exclude={(item) => Boolean(category) && isWithinCategory(categories, item._id, category._id)}
+              />
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Icon (Emoji)</label>
+            <input
+              type="text"
+              value={formData.icon}
+              onChange={(e) => setFormData({...formData, icon: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              placeholder="📦"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Image</label>
+            <div className="flex items-center gap-3">
+              {formData.image ? (
+                <img src={formData.image} alt="" className="w-16 h-16 rounded-lg object-cover border border-gray-200" />
+              ) : (
+                <div className="w-16 h-16 rounded-lg border border-gray-200 bg-gray-100 flex items-center justify-center text-xs text-gray-400">
+                  No image
+                </div>
+              )}
+              <button
+                type="button"
+                onClick={() => setShowMediaPicker(true)}
+                className="px-4 py-2 bg-white border border-gray-300 text-gray-700 rounded-lg font-medium hover:bg-gray-50"
+              >
+                Pick from Library
+              </button>
+              {formData.image && (
+                <button
+                  type="button"
+                  onClick={() => setFormData({...formData, image: ''})}
+                  className="text-red-600 hover:text-red-800 font-medium"
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+            {showMediaPicker && (
+              <MediaPickerDialog
+                multiple={false}
+                onPick={([url]) => setFormData({...formData, image: url})}
+                onClose={() => setShowMediaPicker(false)}
+              />
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <textarea
+              value={formData.description}
+              onChange={(e) => setFormData({...formData, description: e.target.value})}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+              rows="3"
+            />
+          </div>
+
+          <div className="flex gap-4 pt-4">
+            <button
+              type="submit"
+              className="flex-1 bg-gradient-to-r from-purple-600 to-purple-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg"
+            >
+              {category ? 'Update' : 'Create'} Category
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Media Library
+const formatBytes = (bytes) => {
+  if (!bytes && bytes !== 0) return '—';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+// Joins uploaded assets with the products and categories that reference them.
+// Usage is worked out here because images are referenced by URL, not by asset id.
+const loadMediaLibrary = async () => {
+  const [mediaRes, products, categoriesRes] = await Promise.all([
+    axios.get(`${API_URL}/media`, noCacheConfig()),
+    fetchAllProducts(),
+    axios.get(`${API_URL}/categories`)
+  ]);
+
+  const usage = new Map();
+  const addUsage = (url, entry) => {
+    if (!url) return;
+    usage.set(url, [...(usage.get(url) || []), entry]);
+  };
+  products.forEach((product) => {
+    (product.images || []).forEach((url) => addUsage(url, { type: 'product', id: product._id, name: product.name }));
+    Object.values(product.thumbnails || {}).forEach((url) => addUsage(url, { type: 'product', id: product._id, name: product.name, thumbnail: true }));
+  });
+  (categoriesRes.data.categories || []).forEach((category) => {
+    addUsage(category.image, { type: 'category', id: category._id, name: category.name });
+  });
+
+  return (mediaRes.data.media || []).map((asset) => ({ ...asset, usedBy: usage.get(asset.url) || [] }));
+};
+
+function MediaView() {
+  const [media, setMedia] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
+  const [search, setSearch] = useState('');
+  const [deleting, setDeleting] = useState(false);
+
+  const loadMedia = useCallback(async () => {
+    try {
+      setMedia(await loadMediaLibrary());
+    } catch (error) {
+      console.error('Error loading media:', error);
+      setMedia([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMedia();
+  }, [loadMedia]);
+
+  const orphaned = media.filter((asset) => asset.usedBy.length === 0);
+  const visible = media.filter((asset) => {
+    if (filter === 'used' && asset.usedBy.length === 0) return false;
+    if (filter === 'orphaned' && asset.usedBy.length > 0) return false;
+    return !search || (asset.filename || asset.url).toLowerCase().includes(search.toLowerCase());
+  });
+
+  const deleteAssets = async (assets) => {
+    const message = assets.length === 1
+      ? 'Delete this image from storage?'
+      : `Delete ${assets.length} unused images from storage?`;
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    setDeleting(true);
+    const failed = [];
+    for (const asset of assets) {
+      try {
+        await axios.delete(`${API_URL}/media/${asset._id}`);
+      } catch (error) {
+        console.error('Error deleting media:', error);
+        failed.push(`${asset.filename || asset.url}: ${apiErrorMessage(error)}`);
+      }
+    }
+    setDeleting(false);
+    await loadMedia();
+    if (failed.length) {
+      alert(`Could not delete:\n${failed.join('\n')}`);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Media Library</h1>
+        {orphaned.length > 0 && (
+          <button
+            onClick={() => deleteAssets(orphaned)}
+            disabled={deleting}
+            className="bg-red-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-red-700 transition-all disabled:opacity-50"
+          >
+            {deleting ? 'Deleting...' : `Delete ${orphaned.length} Unused`}
+          </button>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg p-4 mb-4 flex flex-wrap gap-3 items-center">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="flex-1 min-w-[16rem] px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          placeholder="Search file name..."
+        />
+        {[
+          { id: 'all', label: `All (${media.length})` },
+          { id: 'used', label: `In use (${media.length - orphaned.length})` },
+          { id: 'orphaned', label: `Unused (${orphaned.length})` }
+        ].map((tab) => (
+          <button
+            key={tab.id}
+            onClick={() => setFilter(tab.id)}
+            className={`px-3 py-2 rounded-lg text-sm font-medium border ${
+              filter === tab.id ? 'bg-blue-600 text-white border-blue-600' : 'bg-white border-gray-300 hover:bg-gray-50'
+            }`}
+          >
+            {tab.label}
+          </button>
+        ))}
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">No images here.</div>
+      ) : (
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+          {visible.map((asset) => (
+            <MediaCard key={asset._id} asset={asset} onDelete={() => deleteAssets([asset])} deleting={deleting} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function MediaCard({ asset, onDelete, deleting }) {
+  const [dimensions, setDimensions] = useState(asset.width ? { width: asset.width, height: asset.height } : null);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+      <div className="aspect-square bg-gray-100">
+        <img
+          src={asset.url}
+          alt={asset.filename || ''}
+          className="w-full h-full object-cover"
+          loading="lazy"
+          onLoad={(e) => !dimensions && setDimensions({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+        />
+      </div>
+      <div className="p-4 text-sm space-y-2">
+        <div className="font-medium text-gray-900 truncate" title={asset.filename || asset.url}>{asset.filename || asset.url}</div>
+        <div className="text-gray-500">
+          {formatBytes(asset.size)} · {dimensions ? `${dimensions.width}×${dimensions.height}` : '—'}
+        </div>
+        {asset.usedBy.length === 0 ? (
+          <div className="flex justify-between items-center">
+            <span className="px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">Unused</span>
+            <button onClick={onDelete} disabled={deleting} className="text-red-600 hover:text-red-800 font-medium disabled:opacity-50">
+              Delete
+            </button>
+          </div>
+        ) : (
+          <ul className="text-xs text-gray-600 space-y-1">
+            {asset.usedBy.map((usage) => (
+              <li key={`${usage.type}-${usage.id}-${usage.thumbnail ? 'thumb' : 'image'}`}>
+                <Link
+                  to={usage.type === 'product' ? `/products/${usage.id}/edit` : `/categories/${usage.id}/edit`}
+                  className="text-blue-600 hover:text-blue-800"
+                >
+                  {usage.type === 'product' ? '📦' : '🏷️'} {usage.name}
+                </Link>
+                {usage.thumbnail && <span className="text-gray-400"> (thumbnail)</span>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function MediaPickerDialog({ multiple = true, onPick, onClose }) {
+  const [media, setMedia] = useState(null);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState([]);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/media`, noCacheConfig())
+      .then((response) => setMedia(response.data.media || []))
+      .catch((error) => {
+        console.error('Error loading media:', error);
+        setMedia([]);
+      });
+  }, []);
+
+  const toggle = (url) => {
+    if (!multiple) {
+      setSelected([url]);
+      return;
+    }
+    setSelected((prevSelected) => (prevSelected.includes(url)
+      ? prevSelected.filter((item) => item !== url)
+      : [...prevSelected, url]));
+  };
+
+  const visible = (media || []).filter((asset) => !search || (asset.filename || asset.url).toLowerCase().includes(search.toLowerCase()));
+
+  return (
+    <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-[60] p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl max-w-4xl w-full max-h-[90vh] flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4 flex gap-4 items-center">
+          <h2 className="text-2xl font-bold">Media Library</h2>
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="flex-1 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            placeholder="Search file name..."
+          />
+        </div>
+        <div className="p-6 overflow-y-auto flex-1">
+          {!media ? (
+            <div className="text-center py-12"><div className="spinner mx-auto"></div></div>
+          ) : visible.length === 0 ? (
+            <div className="text-center py-12 text-gray-500">No images in the library.</div>
+          ) : (
+            <div className="grid grid-cols-3 md:grid-cols-5 gap-3">
+              {visible.map((asset) => (
+                <button
+                  key={asset._id}
+                  type="button"
+                  onClick={() => toggle(asset.url)}
+                  className={`relative aspect-square rounded-lg overflow-hidden border-2 ${
+                    selected.includes(asset.url) ? 'border-blue-600' : 'border-transparent'
+                  }`}
+                  title={asset.filename || asset.url}
+                >
+                  <img src={asset.url} alt={asset.filename || ''} className="w-full h-full object-cover" loading="lazy" />
+                  {selected.includes(asset.url) && (
+                    <span className="absolute top-1 right-1 bg-blue-600 text-white text-xs rounded-full w-6 h-6 flex items-center justify-center">
+                      {multiple ? selected.indexOf(asset.url) + 1 : '✓'}
+                    </span>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="flex gap-4 px-6 py-4 border-t">
+          <button
+            type="button"
+            onClick={() => { onPick(selected); onClose(); }}
+            disabled={!selected.length}
+            className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {multiple ? `Add ${selected.length} Image(s)` : 'Use Image'}
+          </button>
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Inventory
+// Products with `trackInventory` keep on-hand quantities per warehouse in `stock`
+// ({ warehouseId: quantity }) and show as out of stock once the total is at or
+// below `lowStockThreshold`.
+const DEFAULT_WAREHOUSES = [{ id: 'main', name: 'Main' }];
+const STOCK_REASONS = [
+  { id: 'received', label: 'Received', sign: 1 },
+  { id: 'returned', label: 'Returned', sign: 1 },
+  { id: 'sold', label: 'Sold / shipped', sign: -1 },
+  { id: 'damaged', label: 'Damaged', sign: -1 },
+  // A correction enters the counted quantity rather than a difference
+  { id: 'correction', label: 'Correction (stock count)', sign: 0 }
+];
+// Each filter is a GET /products query; the API sorts by total on hand for `sort: 'onHand'`
+const INVENTORY_FILTERS = [
+  { id: 'low', label: 'At or below threshold', params: { stockLevel: 'low' } },
+  { id: 'runningLow', label: 'Running low (some left)', params: { stockLevel: 'runningLow' } },
+  { id: 'out', label: 'All out of stock', params: { inStock: false } },
+  { id: 'tracked', label: 'All tracked products', params: { trackInventory: true } }
+];
+const INVENTORY_PAGE_SIZE = 50;
+
+const loadWarehouses = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/settings/warehouses`, noCacheConfig());
+    return response.data.warehouses?.length ? response.data.warehouses : DEFAULT_WAREHOUSES;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error('Error loading warehouses:', error);
+    }
+    return DEFAULT_WAREHOUSES;
+  }
+};
+
+const totalOnHand = (product) => Object.values(product.stock || {}).reduce((sum, quantity) => sum + (Number(quantity) || 0), 0);
+
+const isLowStock = (product) => Boolean(product.trackInventory) && totalOnHand(product) <= (Number(product.lowStockThreshold) || 0);
+
+// Tracked products follow their quantity, products with variants follow the
+// variants, and anything else keeps its manual in-stock flag
+const deriveInStock = (product) => {
+  if (isLowStock(product)) return false;
+  if (product.variants?.length) return product.variants.some((variant) => variant.inStock);
+  return product.trackInventory ? true : Boolean(product.inStock);
+};
+
+// Saves the new quantity and availability; the reason goes into the audit log
+const adjustStock = async (product, warehouse, reason, amount, note) => {
+  const current = Number(product.stock?.[warehouse.id]) || 0;
+  const quantity = reason.sign === 0 ? amount : current + reason.sign * Math.abs(amount);
+  if (quantity < 0) {
+    throw new Error(`Only ${current} on hand in ${warehouse.name}`);
+  }
+
+  const stock = { ...product.stock, [warehouse.id]: quantity };
+  const changes = { stock, inStock: deriveInStock({ ...product, stock }) };
+  await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote(`Stock adjustment (${reason.label}) in ${warehouse.name}: ${current} → ${quantity}${note ? ` — ${note}` : ''}`));
+  return { ...product, ...changes };
+};
+
+function InventoryView() {
+  const can = usePermissions();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filter = INVENTORY_FILTERS.find((item) => item.id === searchParams.get('show')) || INVENTORY_FILTERS[0];
+  const page = Number(searchParams.get('page')) || 1;
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [warehouses, setWarehouses] = useState(DEFAULT_WAREHOUSES);
+  const [adjusting, setAdjusting] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadInventory = useCallback(async () => {
+    try {
+      const [result, warehouseList] = await Promise.all([
+        fetchProductPage({ ...filter.params, sort: 'onHand', order: 'asc', page, limit: INVENTORY_PAGE_SIZE }),
+        loadWarehouses()
+      ]);
+      setProducts(result.products);
+      setTotal(result.total);
+      setWarehouses(warehouseList);
+    } catch (error) {
+      console.error('Error loading inventory:', error);
+      setProducts([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter, page]);
+
+  useEffect(() => {
+    loadInventory();
+  }, [loadInventory]);
+
+  const showPage = (nextPage) => setSearchParams({
+    ...(filter.id !== 'low' && { show: filter.id }),
+    ...(nextPage > 1 && { page: nextPage })
+  });
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Inventory</h1>
+        <select
+          value={filter.id}
+          onChange={(e) => setSearchParams(e.target.value === 'low' ? {} : { show: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        >
+          {INVENTORY_FILTERS.map((item) => (
+            <option key={item.id} value={item.id}>{item.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              {warehouses.map((warehouse) => (
+                <th key={warehouse.id} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">{warehouse.name}</th>
+              ))}
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Total</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Threshold</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {products.length === 0 ? (
+              <tr>
+                <td colSpan={warehouses.length + 5} className="px-6 py-12 text-center text-gray-500">
+                  {filter.id === 'low' ? 'Nothing is at or below its low-stock threshold.' : 'No products to show.'}
+                </td>
+              </tr>
+            ) : (
+              products.map((product) => (
+                <tr key={product._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <button
+                      onClick={() => navigate(`/products/${product._id}/edit`)}
+                      className="font-medium text-blue-600 hover:text-blue-800 text-left"
+                    >
+                      {product.name}
+                    </button>
+                  </td>
+                  {warehouses.map((warehouse) => (
+                    <td key={warehouse.id} className="px-6 py-4">
+                      {product.trackInventory ? Number(product.stock?.[warehouse.id]) || 0 : '—'}
+                    </td>
+                  ))}
+                  <td className="px-6 py-4 font-semibold">{product.trackInventory ? totalOnHand(product) : '—'}</td>
+                  <td className="px-6 py-4">{product.trackInventory ? Number(product.lowStockThreshold) || 0 : '—'}</td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      product.inStock ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {product.inStock ? 'In Stock' : 'Out of Stock'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4">
+                    {product.trackInventory && can('inventory.adjust') && (
+                      <button
+                        onClick={() => setAdjusting(product)}
+                        className="text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        Adjust
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <PageControls page={page} total={total} pageSize={INVENTORY_PAGE_SIZE} onPage={showPage} />
+
+      {adjusting && (
+        <StockAdjustmentDialog
+          product={adjusting}
+          warehouses={warehouses}
+          onClose={() => setAdjusting(null)}
+          onDone={loadInventory}
+        />
+      )}
+    </div>
+  );
+}
+
+function StockAdjustmentDialog({ product, warehouses, onClose, onDone }) {
+  const [warehouseId, setWarehouseId] = useState(warehouses[0].id);
+  const [reasonId, setReasonId] = useState(STOCK_REASONS[0].id);
+  const [amount, setAmount] = useState('');
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const warehouse = warehouses.find((item) => item.id === warehouseId);
+  const reason = STOCK_REASONS.find((item) => item.id === reasonId);
+  const current = Number(product.stock?.[warehouseId]) || 0;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const value = parseInt(amount, 10);
+    if (Number.isNaN(value) || value < 0 || (reason.sign !== 0 && value === 0)) {
+      setError(reason.sign === 0 ? 'Enter the counted quantity' : 'Enter a quantity above zero');
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      const updated = await adjustStock(product, warehouse, reason, value, note.trim());
+      await onDone(updated);
+      onClose();
+    } catch (saveError) {
+      console.error('Error adjusting stock:', saveError);
+      setError(saveError.response ? apiErrorMessage(saveError, 'Error adjusting stock') : saveError.message);
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-[60] p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl max-w-md w-full text-gray-800" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4">
+          <h2 className="text-2xl font-bold">Adjust Stock</h2>
+          <p className="text-sm text-gray-500 mt-1">{product.name}</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {warehouses.length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Warehouse</label>
+              <select value={warehouseId} onChange={(e) => setWarehouseId(e.target.value)} className={inputClass}>
+                {warehouses.map((item) => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+            <select value={reasonId} onChange={(e) => setReasonId(e.target.value)} className={inputClass}>
+              {STOCK_REASONS.map((item) => (
+                <option key={item.id} value={item.id}>{item.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {reason.sign === 0 ? 'Counted quantity' : reason.sign > 0 ? 'Quantity added' : 'Quantity removed'}
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              className={inputClass}
+              required
+              autoFocus
+            />
+            <p className="mt-1 text-sm text-gray-500">Currently {current} on hand{warehouses.length > 1 && ` in ${warehouse.name}`}.</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Note</label>
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              className={inputClass}
+              placeholder="Optional, e.g. delivery reference"
+            />
+          </div>
+
+          {error && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+          )}
+
+          <div className="flex gap-4 pt-2">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : 'Save Adjustment'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Promotions
+// A product's `sale` is { type: 'percent' | 'price', value, startsAt, endsAt }, plus
+// `campaignId` and `campaignName` when a campaign set it. Dates are ISO strings; a
+// missing date leaves that end of the sale open.
+const SALE_TYPES = [
+  { id: 'percent', label: '% off' },
+  { id: 'price', label: 'Sale price (USD)' }
+];
+
+const saleStatus = (sale, now = Date.now()) => {
+  if (!sale) return null;
+  if (sale.startsAt && new Date(sale.startsAt).getTime() > now) return 'upcoming';
+  if (sale.endsAt && new Date(sale.endsAt).getTime() <= now) return 'ended';
+  return 'active';
+};
+
+const salePrice = (basePrice, sale) => roundPrice(sale.type === 'percent'
+  ? (Number(basePrice) || 0) * (1 - Number(sale.value) / 100)
+  : Number(sale.value));
+
+// <input type="datetime-local"> works in local time without a zone
+const toLocalInput = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromLocalInput = (value) => (value ? new Date(value).toISOString() : null);
+
+const saleFromDraft = (draft) => ({
+  ...draft,
+  value: parseFloat(draft.value),
+  startsAt: fromLocalInput(draft.startsAt),
+  endsAt: fromLocalInput(draft.endsAt)
+});
+
+const saleToDraft = (sale) => ({ ...sale, startsAt: toLocalInput(sale.startsAt), endsAt: toLocalInput(sale.endsAt) });
+
+const validateSale = (draft, basePrice) => {
+  const errors = [];
+  const value = parseFloat(draft.value);
+  if (Number.isNaN(value) || value <= 0) {
+    errors.push('Sale value must be above zero');
+  } else if (draft.type === 'percent' && value >= 100) {
+    errors.push('Sale discount must be below 100%');
+  } else if (draft.type === 'price' && basePrice !== undefined && value >= (parseFloat(basePrice) || 0)) {
+    errors.push('Sale price must be below the base price');
+  }
+  if (draft.startsAt && draft.endsAt && new Date(draft.endsAt) <= new Date(draft.startsAt)) {
+    errors.push('Sale must end after it starts');
+  }
+  return errors;
+};
+
+const formatCountdown = (ms) => {
+  const minutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days) return `${days}d ${hours}h`;
+  if (hours) return `${hours}h ${minutes % 60}m`;
+  return `${minutes % 60}m ${Math.max(0, Math.floor(ms / 1000)) % 60}s`;
+};
+
+// Current time, refreshed every `interval` ms, for countdowns
+function useNow(interval = 1000) {
+  const [now, setNow] = useState(Date.now());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), interval);
+    return () => clearInterval(timer);
+  }, [interval]);
+  return now;
+}
+
+function SaleFields({ draft, onChange, types = SALE_TYPES, disabled }) {
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Discount</label>
+        <select value={draft.type} onChange={(e) => onChange({ ...draft, type: e.target.value })} className={inputClass} disabled={disabled}>
+          {types.map((type) => (
+            <option key={type.id} value={type.id}>{type.label}</option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{draft.type === 'percent' ? 'Percent off' : 'Sale price'}</label>
+        <input
+          type="number"
+          step="0.01"
+          min="0"
+          value={draft.value}
+          onChange={(e) => onChange({ ...draft, value: e.target.value })}
+          className={inputClass}
+          disabled={disabled}
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Starts</label>
+        <input
+          type="datetime-local"
+          value={draft.startsAt}
+          onChange={(e) => onChange({ ...draft, startsAt: e.target.value })}
+          className={inputClass}
+          disabled={disabled}
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Ends</label>
+        <input
+          type="datetime-local"
+          value={draft.endsAt}
+          onChange={(e) => onChange({ ...draft, endsAt: e.target.value })}
+          className={inputClass}
+          disabled={disabled}
+        />
+      </div>
+    </div>
+  );
+}
+
+// Active or upcoming sale under the base price in the products table
+function SaleBadge({ product }) {
+  const status = saleStatus(product.sale);
+  if (status !== 'active' && status !== 'upcoming') {
+    return null;
+  }
+
+  const price = salePrice(product.basePrice, product.sale);
+  const title = product.sale.campaignName ? `${product.sale.campaignName}: ` : '';
+  return (
+    <div className={`mt-1 text-xs font-medium ${status === 'active' ? 'text-green-700' : 'text-yellow-700'}`}>
+      {status === 'active'
+        ? `${title}Sale $${price}${product.sale.endsAt ? ` until ${formatDateTime(product.sale.endsAt)}` : ''}`
+        : `${title}$${price} from ${formatDateTime(product.sale.startsAt)}`}
+    </div>
+  );
+}
+
+function PromotionsView() {
+  const can = usePermissions();
+  const navigate = useNavigate();
+  const now = useNow();
+  const [promotions, setPromotions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [ending, setEnding] = useState(null);
+
+  const loadPromotions = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/promotions`, noCacheConfig());
+      setPromotions(response.data.promotions || []);
+    } catch (error) {
+      console.error('Error loading promotions:', error);
+      setPromotions([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPromotions();
+  }, [loadPromotions]);
+
+  // Takes the sale off every product the campaign set it on, then removes the campaign
+  const removePromotion = async (promotion) => {
+    if (!window.confirm(`Remove "${promotion.name}"? Its sale price is taken off every product it applies to.`)) {
+      return;
+    }
+    setEnding(promotion._id);
+    try {
+      const products = await fetchAllProducts({ campaignId: promotion._id });
+      const failed = [];
+      for (const product of products) {
+        try {
+          await axios.put(`${API_URL}/products/${product._id}`, { sale: null }, auditNote(`Promotion "${promotion.name}" removed`));
+        } catch (error) {
+          failed.push(`${product.name}: ${apiErrorMessage(error)}`);
+        }
+      }
+      if (failed.length) {
+        alert(`"${promotion.name}" was kept because some products could not be updated:\n${failed.join('\n')}`);
+      } else {
+        await axios.delete(`${API_URL}/promotions/${promotion._id}`);
+      }
+      await loadPromotions();
+    } catch (error) {
+      console.error('Error removing promotion:', error);
+      alert(apiErrorMessage(error, 'Error removing promotion'));
+    } finally {
+      setEnding(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  const statusStyles = {
+    active: 'bg-green-100 text-green-700',
+    upcoming: 'bg-yellow-100 text-yellow-800',
+    ended: 'bg-gray-200 text-gray-700'
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Promotions</h1>
+        {can('products.price') && (
+          <button
+            onClick={() => navigate('/promotions/new')}
+            className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+          >
+            + New Promotion
+          </button>
+        )}
+      </div>
+
+      {promotions.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-lg p-12 text-center text-gray-500">
+          No promotions yet. Click "New Promotion" to discount a category or a set of products for a period.
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {promotions.map((promotion) => {
+            const status = saleStatus(promotion, now);
+            return (
+              <div key={promotion._id} className="bg-white p-6 rounded-lg shadow-lg">
+                <div className="flex justify-between items-start mb-2">
+                  <h3 className="text-xl font-bold text-gray-800">{promotion.name}</h3>
+                  <span className={`px-2 py-1 rounded-full text-xs font-medium capitalize ${statusStyles[status]}`}>{status}</span>
+                </div>
+                <p className="text-gray-700 mb-1">{promotion.value}% off · {promotion.productIds?.length || 0} products</p>
+                <p className="text-sm text-gray-500 mb-4">
+                  {promotion.startsAt ? formatDateTime(promotion.startsAt) : 'Now'} – {promotion.endsAt ? formatDateTime(promotion.endsAt) : 'until removed'}
+                </p>
+                {status === 'upcoming' && (
+                  <p className="text-2xl font-bold text-yellow-700 mb-4">Starts in {formatCountdown(new Date(promotion.startsAt) - now)}</p>
+                )}
+                {status === 'active' && promotion.endsAt && (
+                  <p className="text-2xl font-bold text-green-700 mb-4">Ends in {formatCountdown(new Date(promotion.endsAt) - now)}</p>
+                )}
+                {can('products.price') && (
+                  <button
+                    onClick={() => removePromotion(promotion)}
+                    disabled={ending === promotion._id}
+                    className="bg-red-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-700 disabled:opacity-50"
+                  >
+                    {ending === promotion._id ? 'Removing...' : 'Remove'}
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <Routes>
+        <Route
+          path="new"
+          element={(
+            <RequirePermission permission="products.price" redirectTo="/promotions">
+              <PromotionForm onClose={() => navigate('/promotions')} onSave={loadPromotions} />
+            </RequirePermission>
+          )}
+        />
+      </Routes>
+    </div>
+  );
+}
+
+const PROMOTION_PICKER_PAGE_SIZE = 20;
+
+// Campaigns are a percentage so one discount makes sense across differently priced products
+function PromotionForm({ onClose, onSave }) {
+  const [name, setName] = useState('');
+  const [draft, setDraft] = useState({ type: 'percent', value: '', startsAt: '', endsAt: '' });
+  const [target, setTarget] = useState('category');
+  const [categoryId, setCategoryId] = useState('');
+  const [includeSubcategories, setIncludeSubcategories] = useState(true);
+  const [categoryProducts, setCategoryProducts] = useState([]);
+  const [loadingCategory, setLoadingCategory] = useState(false);
+  // Picked products by id, kept across searches and pages
+  const [selected, setSelected] = useState(() => new Map());
+  const [searchInput, setSearchInput] = useState('');
+  const [picker, setPicker] = useState({ search: '', page: 1 });
+  const [listed, setListed] = useState(null);
+  const [listedTotal, setListedTotal] = useState(0);
+  const [categories, setCategories] = useState([]);
+  const [error, setError] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [failures, setFailures] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/categories`)
+      .then((response) => setCategories(response.data.categories || []))
+      .catch((loadError) => {
+        console.error('Error loading categories for promotion:', loadError);
+        setError('Could not load categories.');
+      });
+  }, []);
+
+  // The API resolves the category, and its subcategories when asked, to the products in it
+  useEffect(() => {
+    if (target !== 'category' || !categoryId) {
+      setCategoryProducts([]);
+      return undefined;
+    }
+    let cancelled = false;
+    setLoadingCategory(true);
+    fetchAllProducts({ categoryId, ...(includeSubcategories && { includeSubcategories: true }) })
+      .then((items) => {
+        if (!cancelled) setCategoryProducts(items);
+      })
+      .catch((loadError) => {
+        console.error('Error loading category products for promotion:', loadError);
+        if (!cancelled) setError('Could not load the products in this category.');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingCategory(false);
+      });
+    return () => { cancelled = true; };
+  }, [target, categoryId, includeSubcategories]);
+
+  useEffect(() => {
+    if (searchInput.trim() === picker.search) return undefined;
+    const timer = setTimeout(() => setPicker({ search: searchInput.trim(), page: 1 }), 300);
+    return () => clearTimeout(timer);
+  }, [searchInput, picker.search]);
+
+  useEffect(() => {
+    if (target !== 'products') return undefined;
+    let cancelled = false;
+    setListed(null);
+    fetchProductPage({
+      ...(picker.search && { search: picker.search }),
+      sort: 'name',
+      order: 'asc',
+      page: picker.page,
+      limit: PROMOTION_PICKER_PAGE_SIZE
+    })
+      .then((result) => {
+        if (cancelled) return;
+        setListed(result.products);
+        setListedTotal(result.total);
+      })
+      .catch((loadError) => {
+        console.error('Error loading products for promotion:', loadError);
+        if (!cancelled) setError('Could not load products.');
+      });
+    return () => { cancelled = true; };
+  }, [target, picker]);
+
+  const targets = target === 'products' ? Array.from(selected.values()) : categoryProducts;
+  const replacing = targets.filter((product) => ['active', 'upcoming'].includes(saleStatus(product.sale)));
+
+  const toggleProduct = (product) => {
+    setSelected((current) => {
+      const next = new Map(current);
+      if (next.has(product._id)) {
+        next.delete(product._id);
+      } else {
+        next.set(product._id, product);
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const errors = [...(name.trim() ? [] : ['Name is required']), ...validateSale(draft)];
+    if (!targets.length) errors.push('The promotion does not apply to any products');
+    if (errors.length) {
+      setError(errors.join('. '));
+      return;
+    }
+
+    setError('');
+    const sale = saleFromDraft(draft);
+    let promotion;
+    try {
+      const response = await axios.post(`${API_URL}/promotions`, {
+        name: name.trim(),
+        ...sale,
+        target: target === 'category' ? { categoryId, includeSubcategories } : { products: true },
+        productIds: targets.map((product) => product._id)
+      });
+      promotion = { name: name.trim(), ...(response.data?.promotion || response.data) };
+    } catch (saveError) {
+      console.error('Error saving promotion:', saveError);
+      setError(apiErrorMessage(saveError, 'Error saving promotion'));
+      return;
+    }
+    // Products are linked to the campaign by id, so without one nothing can be applied
+    if (!promotion._id) {
+      console.error('Promotion saved without an id in the response:', promotion);
+      setError('The promotion was saved, but the server did not return its id, so it was not applied to any products. Check the Promotions list before trying again.');
+      onSave();
+      return;
+    }
+
+    const failed = [];
+    setProgress(0);
+    for (const product of targets) {
+      const changes = { sale: { ...sale, campaignId: promotion._id, campaignName: promotion.name } };
+      try {
+        await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote(`Promotion "${promotion.name}"`));
+      } catch (saveError) {
+        failed.push(`${product.name}: ${apiErrorMessage(saveError)}`);
+      }
+      setProgress((count) => count + 1);
+    }
+    setFailures(failed);
+    onSave();
+  };
+
+  const running = progress !== null && !failures;
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={running ? undefined : onClose}>
+      <div className="bg-white rounded-2xl max-w-3xl w-full max-h-[90vh] overflow-y-auto" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4">
+          <h2 className="text-2xl font-bold">New Promotion</h2>
+        </div>
+
+        {failures ? (
+          <div className="p-6 space-y-4">
+            {failures.length === 0 ? (
+              <div className="bg-green-100 border border-green-300 text-green-700 px-4 py-3 rounded-lg">
+                "{name}" applied to {targets.length} products.
+              </div>
+            ) : (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+                <p className="font-semibold text-red-800 mb-2">{failures.length} products were not updated:</p>
+                <ul className="text-sm text-red-700 space-y-1">
+                  {failures.map((failure, index) => <li key={index}>{failure}</li>)}
+                </ul>
+              </div>
+            )}
+            <button onClick={onClose} className="w-full bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700">Close</button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                className={inputClass}
+                placeholder="e.g. Weekend Sale"
+                required
+              />
+            </div>
+
+            <SaleFields draft={draft} onChange={setDraft} types={SALE_TYPES.filter((type) => type.id === 'percent')} disabled={running} />
+
+            <div>
+              <div className="flex gap-6 mb-3">
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={target === 'category'} onChange={() => setTarget('category')} />
+                  <span className="text-gray-700">A category</span>
+                </label>
+                <label className="flex items-center gap-2">
+                  <input type="radio" checked={target === 'products'} onChange={() => setTarget('products')} />
+                  <span className="text-gray-700">Selected products</span>
+                </label>
+              </div>
+
+              {target === 'category' ? (
+                <div className="flex flex-wrap items-center gap-4">
+                  <select value={categoryId} onChange={(e) => setCategoryId(e.target.value)} className={`${inputClass} md:w-auto`}>
+                    <option value="">Select a category...</option>
+                    <CategoryOptions categories={categories} />
+                  </select>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="checkbox"
+                      checked={includeSubcategories}
+                      onChange={(e) => setIncludeSubcategories(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    <span className="text-gray-700">Include subcategories</span>
+                  </label>
+                </div>
+              ) : (
+                <div>
+                  <input
+                    type="text"
+                    value={searchInput}
+                    onChange={(e) => setSearchInput(e.target.value)}
+                    className={`${inputClass} mb-2`}
+                    placeholder="Search products..."
+                  />
+                  <div className="border border-gray-200 rounded-lg max-h-60 overflow-y-auto divide-y divide-gray-100">
+                    {!listed && <div className="p-4 text-center"><div className="spinner mx-auto"></div></div>}
+                    {listed && listed.length === 0 && <div className="p-4 text-center text-gray-500">No products match.</div>}
+                    {(listed || []).map((product) => (
+                      <label key={product._id} className="flex items-center gap-3 px-4 py-2 hover:bg-gray-50">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(product._id)}
+                          onChange={() => toggleProduct(product)}
+                          className="w-4 h-4"
+                        />
+                        <span className="flex-1">{product.name}</span>
+                        <span className="text-sm text-gray-500">${product.basePrice}</span>
+                      </label>
+                    ))}
+                  </div>
+                  <PageControls
+                    page={picker.page}
+                    total={listedTotal}
+                    pageSize={PROMOTION_PICKER_PAGE_SIZE}
+                    onPage={(page) => setPicker({ ...picker, page })}
+                  />
+                </div>
+              )}
+            </div>
+
+            <p className="text-sm text-gray-600">
+              {loadingCategory ? 'Finding the products in this category...' : `Applies to ${targets.length} product${targets.length === 1 ? '' : 's'}.`}
+              {replacing.length > 0 && ` ${replacing.length} already have an active or upcoming sale, which this replaces.`}
+            </p>
+
+            {running && <p className="text-gray-600">Updating {progress} of {targets.length} products...</p>}
+
+            {error && (
+              <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+            )}
+
+            <div className="flex gap-4 pt-2">
+              <button
+                type="submit"
+                disabled={running || loadingCategory}
+                className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg disabled:opacity-50"
+              >
+                Apply Promotion
+              </button>
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={running}
+                className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Users View
+const MIN_PASSWORD_LENGTH = 8;
+
+const validateNewPassword = ({ currentPassword, newPassword, confirmPassword }) => {
+  if (newPassword.length < MIN_PASSWORD_LENGTH) return `New password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  if (newPassword !== confirmPassword) return 'New passwords do not match';
+  if (currentPassword && newPassword === currentPassword) return 'New password must be different from the current one';
+  return '';
+};
+
+function UsersView() {
+  const { user: currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const response = await axios.get(`${API_URL}/users`, noCacheConfig());
+      setUsers(response.data.users || []);
+    } catch (error) {
+      console.error('Error loading users:', error);
+      setUsers([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const resetPassword = async (account) => {
+    if (!window.confirm(`Reset the password for ${account.username}? They will have to choose a new one at their next login.`)) {
+      return;
+    }
+    try {
+      const response = await axios.post(`${API_URL}/users/${account._id}/reset-password`);
+      alert(response.data.temporaryPassword
+        ? `Temporary password for ${account.username}: ${response.data.temporaryPassword}\n\nShare it securely; it must be changed at the next login.`
+        : `A password reset link has been sent to ${account.email || account.username}.`);
+      loadUsers();
+    } catch (error) {
+      console.error('Error resetting password:', error);
+      alert(apiErrorMessage(error, 'Error resetting password'));
+    }
+  };
+
+  const setActive = async (account, active) => {
+    if (!active && !window.confirm(`Deactivate ${account.username}? They will no longer be able to log in.`)) {
+      return;
+    }
+    try {
+      await axios.put(`${API_URL}/users/${account._id}`, { active });
+      loadUsers();
+    } catch (error) {
+      console.error('Error updating user:', error);
+      alert(apiErrorMessage(error, 'Error updating user'));
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Users</h1>
+        <button
+          onClick={() => navigate('/users/new')}
+          className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+        >
+          + Add User
+        </button>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Login</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {users.map((account) => {
+              const isSelf = account._id === currentUser._id || account.username === currentUser.username;
+              return (
+                <tr key={account._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <div className="font-medium text-gray-900">{account.username}{isSelf && <span className="text-gray-400"> (you)</span>}</div>
+                    <div className="text-sm text-gray-500">{account.email}</div>
+                  </td>
+                  <td className="px-6 py-4">{roleLabel(account.role)}</td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${
+                      account.active === false ? 'bg-gray-200 text-gray-700' : account.invitePending ? 'bg-yellow-100 text-yellow-800' : 'bg-green-100 text-green-700'
+                    }`}>
+                      {account.active === false ? 'Deactivated' : account.invitePending ? 'Invited' : 'Active'}
+                    </span>
+                    {account.mustChangePassword && account.active !== false && (
+                      <div className="text-xs text-gray-500 mt-1">Must change password</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{account.lastLoginAt ? formatDateTime(account.lastLoginAt) : 'Never'}</td>
+                  <td className="px-6 py-4">
+                    <div className="flex gap-3">
+                      <button
+                        onClick={() => navigate(`/users/${account._id}/edit`)}
+                        className="text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => resetPassword(account)}
+                        className="text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        Reset Password
+                      </button>
+                      {!isSelf && (
+                        <button
+                          onClick={() => setActive(account, account.active === false)}
+                          className={`${account.active === false ? 'text-green-600 hover:text-green-800' : 'text-red-600 hover:text-red-800'} font-medium`}
+                        >
+                          {account.active === false ? 'Reactivate' : 'Deactivate'}
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      <Routes>
+        <Route path="new" element={<UserForm account={null} onClose={() => navigate('/users')} onSave={loadUsers} />} />
+        <Route path=":id/edit" element={<EditUserRoute users={users} onClose={() => navigate('/users')} onSave={loadUsers} />} />
+      </Routes>
+    </div>
+  );
+}
+
+function EditUserRoute({ users, onClose, onSave }) {
+  const { id } = useParams();
+  const account = users.find((u) => u._id === id);
+
+  if (!account) {
+    return <Navigate to="/users" replace />;
+  }
+
+  return <UserForm key={account._id} account={account} onClose={onClose} onSave={onSave} />;
+}
+
+function UserForm({ account, onClose, onSave }) {
+  const { user: currentUser } = useAuth();
+  const isSelf = account && (account._id === currentUser._id || account.username === currentUser.username);
+  const [formData, setFormData] = useState({
+    username: account?.username || '',
+    email: account?.email || '',
+    role: account?.role || 'viewer',
+    mode: 'invite',
+    password: ''
+  });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (!account && formData.mode === 'create' && formData.password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Temporary password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (account) {
+        await axios.put(`${API_URL}/users/${account._id}`, {
+          email: formData.email,
+          ...(!isSelf && { role: formData.role })
+        });
+      } else {
+        // Created accounts get a temporary password and must change it at first login
+        await axios.post(`${API_URL}/users`, {
+          username: formData.username,
+          email: formData.email,
+          role: formData.role,
+          invite: formData.mode === 'invite',
+          ...(formData.mode === 'create' && { password: formData.password, mustChangePassword: true })
+        });
+      }
+      await onSave();
+      onClose();
+    } catch (saveError) {
+      console.error('Error saving user:', saveError);
+      setError(apiErrorMessage(saveError, 'Error saving user'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white rounded-2xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
+        <div className="border-b px-6 py-4 flex justify-between items-center">
+          <h2 className="text-2xl font-bold">{account ? 'Edit' : 'Add'} User</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Username *</label>
+            <input
+              type="text"
+              value={formData.username}
+              onChange={(e) => setFormData({...formData, username: e.target.value})}
+              className={`${inputClass} disabled:bg-gray-100`}
+              disabled={Boolean(account)}
+              required
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Email{!account && formData.mode === 'invite' && ' *'}</label>
+            <input
+              type="email"
+              value={formData.email}
+              onChange={(e) => setFormData({...formData, email: e.target.value})}
+              className={inputClass}
+              required={!account && formData.mode === 'invite'}
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+            <select
+              value={formData.role}
+              onChange={(e) => setFormData({...formData, role: e.target.value})}
+              className={`${inputClass} disabled:bg-gray-100`}
+              disabled={isSelf}
+            >
+              {ROLES.map((role) => (
+                <option key={role.id} value={role.id}>{role.label}</option>
+              ))}
+            </select>
+            {isSelf && <p className="mt-1 text-xs text-gray-500">You cannot change your own role.</p>}
+          </div>
+
+          {!account && (
+            <div className="space-y-3">
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={formData.mode === 'invite'}
+                  onChange={() => setFormData({...formData, mode: 'invite'})}
+                />
+                <span className="text-gray-700">Send an invitation email</span>
+              </label>
+              <label className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  checked={formData.mode === 'create'}
+                  onChange={() => setFormData({...formData, mode: 'create'})}
+                />
+                <span className="text-gray-700">Set a temporary password</span>
+              </label>
+              {formData.mode === 'create' && (
+                <input
+                  type="text"
+                  value={formData.password}
+                  onChange={(e) => setFormData({...formData, password: e.target.value})}
+                  className={inputClass}
+                  placeholder={`At least ${MIN_PASSWORD_LENGTH} characters`}
+                  autoComplete="off"
+                  required
+                />
+              )}
+            </div>
+          )}
+
+          {error && (
+            <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+          )}
+
+          <div className="flex gap-4 pt-4">
+            <button
+              type="submit"
+              disabled={saving}
+              className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg disabled:opacity-50"
+            >
+              {saving ? 'Saving...' : account ? 'Update User' : formData.mode === 'invite' ? 'Send Invite' : 'Create User'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700"
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Used from the sidebar and, with `forced`, before first use of a temporary password
+function ChangePasswordForm({ forced = false, onDone, onCancel }) {
+  const { updateUser } = useAuth();
+  const [formData, setFormData] = useState({ currentPassword: '', newPassword: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const validationError = validateNewPassword(formData);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setError('');
+    setSaving(true);
+    try {
+      await axios.post(`${API_URL}/auth/change-password`, {
+        currentPassword: formData.currentPassword,
+        newPassword: formData.newPassword
+      });
+      updateUser({ mustChangePassword: false });
+      onDone();
+    } catch (saveError) {
+      console.error('Error changing password:', saveError);
+      setError(apiErrorMessage(saveError, 'Error changing password'));
+      setSaving(false);
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">{forced ? 'Temporary password' : 'Current password'}</label>
+        <input
+          type="password"
+          value={formData.currentPassword}
+          onChange={(e) => setFormData({...formData, currentPassword: e.target.value})}
+          className={inputClass}
+          autoComplete="current-password"
+          required
+          autoFocus
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">New password</label>
+        <input
+          type="password"
+          value={formData.newPassword}
+          onChange={(e) => setFormData({...formData, newPassword: e.target.value})}
+          className={inputClass}
+          autoComplete="new-password"
+          required
+        />
+      </div>
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Confirm new password</label>
+        <input
+          type="password"
+          value={formData.confirmPassword}
+          onChange={(e) => setFormData({...formData, confirmPassword: e.target.value})}
+          className={inputClass}
+          autoComplete="new-password"
+          required
+        />
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg">{error}</div>
+      )}
+
+      <div className="flex gap-4">
+        <button
+          type="submit"
+          disabled={saving}
+          className="flex-1 bg-gradient-to-r from-blue-600 to-blue-500 text-white py-3 rounded-lg font-semibold hover:from-blue-700 hover:to-blue-600 transition-all disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          disabled={saving}
+          className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700 transition-all"
+        >
+          {forced ? 'Log Out' : 'Cancel'}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function ChangePasswordModal({ onClose }) {
+  const [done, setDone] = useState(false);
+
+  return (
+    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-md text-gray-800" onClick={(e) => e.stopPropagation()}>
+        <h2 className="text-2xl font-bold mb-6">Change Password</h2>
+        {done ? (
+          <div className="space-y-6">
+            <div className="bg-green-100 border border-green-300 text-green-700 px-4 py-3 rounded-lg">Your password has been changed.</div>
+            <button onClick={onClose} className="w-full bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700">Close</button>
+          </div>
+        ) : (
+          <ChangePasswordForm onDone={() => setDone(true)} onCancel={onClose} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ForcePasswordChangePage() {
+  const { user, logout } = useAuth();
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-600 to-blue-500 p-4">
+      <div className="bg-white p-8 rounded-2xl shadow-2xl w-full max-w-md">
+        <div className="text-center mb-8">
+          <img src="/logo.png" alt="D-international" className="h-16 mx-auto mb-4" />
+          <h2 className="text-3xl font-bold text-gray-800">Choose a New Password</h2>
+          <p className="text-gray-600 mt-2">
+            Hi {user.username}, you are signed in with a temporary password. Set your own password to continue.
+          </p>
+        </div>
+        <ChangePasswordForm forced onDone={() => {}} onCancel={logout} />
+      </div>
+    </div>
+  );
+}
+
+// Audit Log
+// The API records every create, update and delete of products, categories and settings
+// inside the handler that saves it, with the signed-in user, the time and a field-level
+// diff against the stored record. The panel only reads /audit-log.
+const AUDIT_ENTITIES = [
+  { id: 'product', label: 'Products' },
+  { id: 'category', label: 'Categories' },
+  { id: 'settings', label: 'Settings' }
+];
+const AUDIT_ACTIONS = {
+  create: { label: 'Created', className: 'bg-green-100 text-green-700' },
+  update: { label: 'Updated', className: 'bg-blue-100 text-blue-700' },
+  delete: { label: 'Deleted', className: 'bg-red-100 text-red-700' }
+};
+const AUDIT_PAGE_SIZE = 50;
+
+// Adds a reason to a mutation for the entry the API records ("Bulk action", "Imported from ...").
+// Encoded because header values must be plain ASCII.
+const auditNote = (note) => (note ? { headers: { 'X-Audit-Note': encodeURIComponent(note) } } : {});
+
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+const ACTIVITY_QUERY_DEFAULTS = { user: '', entity: '', from: '', to: '', page: 1 };
+
+const readActivityQuery = (searchParams) => ({
+  ...ACTIVITY_QUERY_DEFAULTS,
+  ...Object.fromEntries(Object.keys(ACTIVITY_QUERY_DEFAULTS)
+    .filter((key) => searchParams.get(key))
+    .map((key) => [key, key === 'page' ? Number(searchParams.get(key)) || 1 : searchParams.get(key)]))
+});
+
+function ActivityView() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryString = searchParams.toString();
+  const query = readActivityQuery(searchParams);
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [userInput, setUserInput] = useState(query.user);
+
+  const loadEntries = useCallback(async () => {
+    const { user, entity, from, to, page } = readActivityQuery(new URLSearchParams(queryString));
+    setLoading(true);
+    try {
+      const response = await axios.get(`${API_URL}/audit-log`, {
+        ...noCacheConfig(),
+        params: {
+          ...(user && { user }),
+          ...(entity && { entity }),
+          // Dates are whole days in the browser's time zone, both ends inclusive
+          ...(from && { from: new Date(`${from}T00:00:00`).toISOString() }),
+          ...(to && { to: new Date(`${to}T23:59:59.999`).toISOString() }),
+          page,
+          limit: AUDIT_PAGE_SIZE
+        }
+      });
+      setEntries(response.data.entries || []);
+      setTotal(response.data.total || 0);
+    } catch (error) {
+      console.error('Error loading activity:', error);
+      setEntries([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  }, [queryString]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateQuery = useCallback((changes) => {
+    setSearchParams((current) => {
+      const next = new URLSearchParams(current);
+      Object.entries({ page: 1, ...changes }).forEach(([key, value]) => {
+        if (value === '' || String(value) === String(ACTIVITY_QUERY_DEFAULTS[key])) {
+          next.delete(key);
+        } else {
+          next.set(key, value);
+        }
+      });
+      return next;
+    });
+  }, [setSearchParams]);
+
+  useEffect(() => {
+    setUserInput(query.user);
+  }, [query.user]);
+
+  useEffect(() => {
+    if (userInput === query.user) return undefined;
+    const timer = setTimeout(() => updateQuery({ user: userInput }), 300);
+    return () => clearTimeout(timer);
+  }, [userInput, query.user, updateQuery]);
+
+  const pageCount = Math.max(1, Math.ceil(total / AUDIT_PAGE_SIZE));
+  const inputClass = 'px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
+  return (
+    <div>
+      <h1 className="text-3xl font-bold text-gray-800 mb-8">Activity</h1>
+
+      <div className="bg-white rounded-lg shadow p-4 mb-6 flex flex-wrap gap-4 items-end">
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">User</label>
+          <input
+            type="text"
+            value={userInput}
+            onChange={(e) => setUserInput(e.target.value)}
+            placeholder="Username"
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">Entity</label>
+          <select value={query.entity} onChange={(e) => updateQuery({ entity: e.target.value })} className={inputClass}>
+            <option value="">All</option>
+            {AUDIT_ENTITIES.map((entity) => (
+              <option key={entity.id} value={entity.id}>{entity.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">From</label>
+          <input type="date" value={query.from} onChange={(e) => updateQuery({ from: e.target.value })} className={inputClass} />
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-500 mb-1">To</label>
+          <input type="date" value={query.to} onChange={(e) => updateQuery({ to: e.target.value })} className={inputClass} />
+        </div>
+        {queryString && (
+          <button
+            onClick={() => setSearchParams(new URLSearchParams())}
+            className="text-blue-600 hover:text-blue-800 font-medium py-2"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+
+      {loading ? (
+        <div className="text-center py-12"><div className="spinner mx-auto"></div></div>
+      ) : entries.length === 0 ? (
+        <div className="bg-white rounded-lg shadow p-12 text-center text-gray-500">No activity matches these filters.</div>
+      ) : (
+        <div className="space-y-3">
+          {entries.map((entry) => (
+            <AuditEntry
+              key={entry._id}
+              entry={entry}
+              onOpen={entry.entity === 'product' && entry.action !== 'delete'
+                ? () => navigate(`/products/${entry.entityId}/edit`)
+                : null}
+            />
+          ))}
+        </div>
+      )}
+
+      {total > AUDIT_PAGE_SIZE && (
+        <div className="flex justify-between items-center mt-6 text-sm text-gray-600">
+          <span>Page {query.page} of {pageCount} · {total} entries</span>
+          <div className="flex gap-2">
+            <button
+              onClick={() => updateQuery({ page: query.page - 1 })}
+              disabled={query.page <= 1}
+              className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Previous
+            </button>
+            <button
+              onClick={() => updateQuery({ page: query.page + 1 })}
+              disabled={query.page >= pageCount}
+              className="px-3 py-1 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+            >
+              Next
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function AuditEntry({ entry, onOpen, showEntity = true }) {
+  const action = AUDIT_ACTIONS[entry.action] || { label: entry.action, className: 'bg-gray-100 text-gray-700' };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-4">
+      <div className="flex flex-wrap items-center gap-3">
+        <span className={`px-2 py-1 rounded-full text-xs font-medium ${action.className}`}>{action.label}</span>
+        {showEntity && (
+          onOpen ? (
+            <button onClick={onOpen} className="font-medium text-blue-600 hover:text-blue-800">{entry.entityName || entry.entityId}</button>
+          ) : (
+            <span className="font-medium text-gray-800">{entry.entityName || (entry.entity === 'settings' ? 'Exchange rates' : entry.entityId)}</span>
+          )
+        )}
+        {showEntity && <span className="text-xs text-gray-400 uppercase">{entry.entity}</span>}
+        <span className="ml-auto text-sm text-gray-500">
+          {formatUserName(entry.user)} · {formatDateTime(entry.createdAt)}
+        </span>
+      </div>
+      {entry.note && <p className="text-sm text-gray-500 mt-2">{entry.note}</p>}
+      {entry.action === 'update' && entry.changes?.length > 0 && (
+        <table className="w-full text-sm mt-3">
+          <tbody className="divide-y divide-gray-100">
+            {entry.changes.map((change) => (
+              <tr key={change.field}>
+                <td className="py-1 pr-4 text-gray-500 w-1/4">{change.field}</td>
+                <td className="py-1 pr-4 text-red-600 line-through break-all">{formatAuditValue(change.before)}</td>
+                <td className="py-1 text-green-700 break-all">{formatAuditValue(change.after)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// History tab of the product edit modal
+function AuditHistory({ entity, entityId }) {
+  const [entries, setEntries] = useState(null);
+
+  useEffect(() => {
+    axios.get(`${API_URL}/audit-log`, { ...noCacheConfig(), params: { entity, entityId, limit: AUDIT_PAGE_SIZE } })
+      .then((response) => setEntries(response.data.entries || []))
+      .catch((error) => {
+        console.error('Error loading history:', error);
+        setEntries([]);
+      });
+  }, [entity, entityId]);
+
+  if (!entries) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  if (entries.length === 0) {
+    return <p className="text-center py-12 text-gray-500">No recorded changes yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {entries.map((entry) => <AuditEntry key={entry._id} entry={entry} showEntity={false} />)}
+    </div>
+  );
+}
+
+// Data Quality
+// The API scores products against the saved rules (GET /products/quality), so the
+// report pages on the server like the products list. Rules here only carry what the
+// report and the rules editor show; see the README for what each one checks.
+const QUALITY_RULES = [
+  { id: 'images', label: 'Images present', setting: { key: 'minImages', label: 'Minimum images', min: 1 } },
+  { id: 'description', label: 'Description length', setting: { key: 'minLength', label: 'Minimum characters', min: 1 } },
+  { id: 'price', label: 'Non-zero price' },
+  { id: 'category', label: 'Valid category' },
+  { id: 'rates', label: 'Sane exchange rates', setting: { key: 'maxDeviation', label: 'Max % away from the global rate', min: 1 } },
+  { id: 'duplicates', label: 'Unique name' }
+];
+const QUALITY_PAGE_SIZE = 50;
+const QUALITY_RULE_DEFAULTS = {
+  images: { enabled: true, minImages: 1 },
+  description: { enabled: true, minLength: 50 },
+  price: { enabled: true },
+  category: { enabled: true },
+  rates: { enabled: true, maxDeviation: 50 },
+  duplicates: { enabled: true }
+};
+
+const loadQualityRules = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/settings/quality-rules`, noCacheConfig());
+    const saved = response.data.rules || {};
+    return Object.fromEntries(Object.entries(QUALITY_RULE_DEFAULTS).map(([id, defaults]) => [id, { ...defaults, ...saved[id] }]));
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error('Error loading quality rules:', error);
+    }
+    return QUALITY_RULE_DEFAULTS;
+  }
+};
+
+const scoreClass = (score) => (score >= 80 ? 'bg-green-100 text-green-700' : score >= 50 ? 'bg-yellow-100 text-yellow-700' : 'bg-red-100 text-red-700');
+
+function QualityView() {
+  const can = usePermissions();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const ruleFilter = QUALITY_RULES.some((rule) => rule.id === searchParams.get('rule')) ? searchParams.get('rule') : '';
+  const page = Number(searchParams.get('page')) || 1;
+  const [rows, setRows] = useState([]);
+  // The edit route looks products up in a stable array
+  const [products, setProducts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [summary, setSummary] = useState({ averageScore: 100, products: 0, withIssues: 0, byRule: {} });
+  const [rules, setRules] = useState(QUALITY_RULE_DEFAULTS);
+  const [showRules, setShowRules] = useState(false);
+  const [loading, setLoading] = useState(true);
+
+  const loadReport = useCallback(async () => {
+    try {
+      const config = noCacheConfig();
+      config.params = { ...config.params, ...(ruleFilter && { rule: ruleFilter }), page, limit: QUALITY_PAGE_SIZE };
+      const [response, savedRules] = await Promise.all([
+        axios.get(`${API_URL}/products/quality`, config),
+        loadQualityRules()
+      ]);
+      const items = response.data.rows || [];
+      setRows(items);
+      setProducts(items.map((row) => row.product));
+      setTotal(response.data.total ?? 0);
+      setSummary({ ...response.data.summary, byRule: response.data.summary?.byRule || {} });
+      setRules(savedRules);
+    } catch (error) {
+      console.error('Error loading data quality report:', error);
+      setRows([]);
+      setProducts([]);
+      setTotal(0);
+    } finally {
+      setLoading(false);
+    }
+  }, [ruleFilter, page]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const ruleLabel = (id) => QUALITY_RULES.find((rule) => rule.id === id)?.label || id;
+  const showPage = (nextPage) => setSearchParams({
+    ...(ruleFilter && { rule: ruleFilter }),
+    ...(nextPage > 1 && { page: nextPage })
+  });
+  const editPath = (product) => ({ pathname: `/quality/${product._id}/edit`, search: location.search });
+  const closeForm = () => navigate({ pathname: '/quality', search: location.search });
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-8">
+        <h1 className="text-3xl font-bold text-gray-800">Data Quality</h1>
+        <button
+          onClick={() => setShowRules(!showRules)}
+          className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all"
+        >
+          {showRules ? 'Hide Rules' : 'Rules'}
+        </button>
+      </div>
+
+      {showRules && (
+        <QualityRulesEditor
+          rules={rules}
+          canEdit={can('products.edit')}
+          onSaved={(saved) => { setRules(saved); loadReport(); }}
+        />
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-6">
+        <div className="bg-white p-6 rounded-lg shadow-lg">
+          <div className="text-sm text-gray-500">Catalogue score</div>
+          <div className={`mt-1 inline-block px-3 py-1 rounded-full text-2xl font-bold ${scoreClass(summary.averageScore)}`}>{summary.averageScore}%</div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-lg">
+          <div className="text-sm text-gray-500">Products with issues</div>
+          <div className="mt-1 text-2xl font-bold">{summary.withIssues} <span className="text-base font-normal text-gray-500">of {summary.products}</span></div>
+        </div>
+        <div className="bg-white p-6 rounded-lg shadow-lg lg:col-span-2">
+          <div className="text-sm text-gray-500 mb-2">Failing by rule</div>
+          <div className="flex flex-wrap gap-2">
+            {QUALITY_RULES.filter((rule) => rules[rule.id]?.enabled).map((rule) => {
+              const count = summary.byRule[rule.id] || 0;
+              return (
+                <button
+                  key={rule.id}
+                  onClick={() => setSearchParams(ruleFilter === rule.id ? {} : { rule: rule.id })}
+                  className={`px-3 py-1 rounded-full text-sm font-medium border ${
+                    ruleFilter === rule.id ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {rule.label}: {count}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg shadow-lg overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50 border-b">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Score</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Issues</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {rows.length === 0 ? (
+              <tr>
+                <td colSpan={3} className="px-6 py-12 text-center text-gray-500">
+                  {ruleFilter ? 'No product fails this rule.' : 'Every product passes the enabled rules.'}
+                </td>
+              </tr>
+            ) : (
+              rows.map(({ product, issues, score }) => (
+                <tr key={product._id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4">
+                    <Link to={editPath(product)} className="font-medium text-blue-600 hover:text-blue-800">{product.name || '(no name)'}</Link>
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${scoreClass(score)}`}>{score}%</span>
+                  </td>
+                  <td className="px-6 py-4">
+                    <ul className="space-y-1 text-sm">
+                      {issues.map((issue) => (
+                        <li key={issue.rule}>
+                          <Link to={editPath(product)} className="hover:text-blue-700">
+                            <span className="font-medium">{ruleLabel(issue.rule)}:</span> {issue.message}
+                          </Link>
+                        </li>
+                      ))}
+                    </ul>
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <PageControls page={page} total={total} pageSize={QUALITY_PAGE_SIZE} onPage={showPage} />
+
+      <Routes>
+        <Route
+          path=":id/edit"
+          element={<EditProductRoute products={products} onClose={closeForm} onSave={loadReport} />}
+        />
+      </Routes>
+    </div>
+  );
+}
+
+function QualityRulesEditor({ rules, canEdit, onSaved }) {
+  const [draft, setDraft] = useState(rules);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  const updateRule = (id, changes) => setDraft({ ...draft, [id]: { ...draft[id], ...changes } });
+
+  const handleSave = async () => {
+    const invalid = QUALITY_RULES.find((rule) => rule.setting && !(Number(draft[rule.id][rule.setting.key]) >= rule.setting.min));
+    if (invalid) {
+      setError(`${invalid.setting.label} must be at least ${invalid.setting.min}`);
+      return;
+    }
+    const next = Object.fromEntries(QUALITY_RULES.map((rule) => [
+      rule.id,
+      rule.setting ? { ...draft[rule.id], [rule.setting.key]: Number(draft[rule.id][rule.setting.key]) } : draft[rule.id]
+    ]));
+
+    setError('');
+    setSaving(true);
+    try {
+      await axios.post(`${API_URL}/settings/quality-rules`, { rules: next });
+      onSaved(next);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (saveError) {
+      console.error('Error saving quality rules:', saveError);
+      setError(apiErrorMessage(saveError, 'Error saving quality rules'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <fieldset disabled={!canEdit}>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+          {QUALITY_RULES.map((rule) => (
+            <div key={rule.id} className="border border-gray-200 rounded-lg p-4">
+              <label className="flex items-center font-semibold text-gray-800">
+                <input
+                  type="checkbox"
+                  checked={draft[rule.id].enabled}
+                  onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                  className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+                />
+                <span className="ml-2">{rule.label}</span>
+              </label>
+              {rule.setting && (
+                <div className="mt-3">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">{rule.setting.label}</label>
+                  <input
+                    type="number"
+                    min={rule.setting.min}
+                    value={draft[rule.id][rule.setting.key]}
+                    onChange={(e) => updateRule(rule.id, { [rule.setting.key]: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                  />
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      </fieldset>
+      {error && <div className="mt-4 bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{error}</div>}
+      {canEdit ? (
+        <div className="mt-4 flex justify-end">
+          <button
+            onClick={handleSave}
+            disabled={saving}
+            className="bg-gradient-to-r from-green-600 to-green-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {saved ? '✓ Saved!' : saving ? 'Saving...' : 'Save Rules'}
+          </button>
+        </div>
+      ) : (
+        <p className="mt-4 text-sm text-gray-500">Only roles that can edit products can change the rules.</p>
+      )}
+    </div>
+  );
+}
+
+// Settings View
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+const formatUserName = (value) => (value && typeof value === 'object' ? value.username : value) || 'unknown';
+
+// Rate inputs keep the typed text, so a cleared or half-typed field is caught here instead of being saved as 0
+const isValidRate = (value) => String(value ?? '').trim() !== '' && Number.isFinite(Number(value)) && Number(value) > 0;
+
+const loadCurrencies = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/settings/currencies`, noCacheConfig());
+    return response.data.currencies?.length ? response.data.currencies : DEFAULT_CURRENCIES;
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      console.error('Error loading currencies:', error);
+    }
+    return DEFAULT_CURRENCIES;
+  }
+};
+
+// Disabled currencies keep their stored rates but are hidden from pricing screens
+const enabledCurrencies = (currencies) => currencies.filter((currency) => currency.enabled);
+
+const pickRates = (rates, currencies) => Object.fromEntries(
+  currencies.filter(({ code }) => rates[code] !== undefined).map(({ code }) => [code, rates[code]])
+);
+
+const validateCurrency = (currency, currencies) => {
+  const errors = [];
+  if (!ISO_4217_CODES.has(currency.code)) {
+    errors.push(`${currency.code || 'The code'} is not an ISO 4217 currency code`);
+  } else if (currencies.some((other) => other !== currency && other.code === currency.code)) {
+    errors.push(`${currency.code} is already in the list`);
+  }
+  if (!currency.name.trim()) {
+    errors.push(`${currency.code}: name is required`);
+  }
+  if (!currency.symbol.trim()) {
+    errors.push(`${currency.code}: symbol is required`);
+  }
+  if (!Number.isInteger(currency.decimals) || currency.decimals < 0 || currency.decimals > 4) {
+    errors.push(`${currency.code}: decimal places must be a whole number from 0 to 4`);
+  } else if (currency.rounding?.ending === '.99' && currency.decimals < 2) {
+    errors.push(`${currency.code}: prices ending in .99 need 2 decimal places`);
+  }
+  return errors;
+};
+
+const saveGlobalRates = async ({ rates, extra = {}, note }) => {
+  await axios.post(`${API_URL}/settings/exchange-rates`, { rates, ...extra }, auditNote(note));
+};
+
+// Exchange Rate Feed
+// The API runs the feed: a scheduled job fetches the configured source every
+// `intervalHours` and parks any differences as `pending` for approval here, and
+// POST /settings/rate-feed/check fetches on demand. Rates are quoted per 1 USD. The
+// panel only configures the feed and approves what it finds, so providers here are
+// just the choices the API supports.
+const RATE_PROVIDERS = {
+  fixture: {
+    label: 'Fixture file',
+    sourceLabel: 'File path (on the API server)',
+    defaultSource: 'fixtures/exchange-rates.json'
+  },
+  http: {
+    label: 'JSON feed (open.er-api.com format)',
+    sourceLabel: 'Feed URL',
+    defaultSource: 'https://open.er-api.com/v6/latest/USD'
+  }
+};
+const RATE_FEED_DEFAULTS = {
+  enabled: false,
+  provider: 'fixture',
+  source: RATE_PROVIDERS.fixture.defaultSource,
+  intervalHours: 24,
+  driftPercent: 5,
+  lastCheckedAt: null,
+  lastError: null,
+  pending: null
+};
+
+// Only an API without the setting (404) falls back to the defaults; saving over
+// settings that failed to load would wipe them
+const loadRateFeed = async () => {
+  try {
+    const response = await axios.get(`${API_URL}/settings/rate-feed`, noCacheConfig());
+    return { ...RATE_FEED_DEFAULTS, ...(response.data.feed || {}) };
+  } catch (error) {
+    if (error.response?.status !== 404) throw error;
+    return RATE_FEED_DEFAULTS;
+  }
+};
+
+// Sends the configuration only; lastCheckedAt, lastError and pending belong to the scheduled job
+const saveRateFeed = ({ enabled, provider, source, intervalHours, driftPercent }) => axios.post(`${API_URL}/settings/rate-feed`, {
+  feed: { enabled, provider, source, intervalHours, driftPercent }
+});
+
+// Currencies whose rate would change, each flagged when it moves by more than the drift limit
+export const planRateUpdate = (current, proposed, driftPercent) => Object.keys(proposed)
+  .filter((code) => proposed[code] !== current[code])
+  .map((code) => {
+    const drift = current[code] ? ((proposed[code] - current[code]) / current[code]) * 100 : null;
+    return {
+      code,
+      current: current[code],
+      proposed: proposed[code],
+      drift,
+      flagged: drift === null || Math.abs(drift) > Number(driftPercent)
+    };
+  });
+
+// Same rule the scheduled job applies; the panel uses it to show when the next check is due
+export const rateFeedDue = (feed, now = Date.now()) => feed.enabled
+  && (!feed.lastCheckedAt || now - new Date(feed.lastCheckedAt).getTime() >= Number(feed.intervalHours) * 60 * 60 * 1000);
+
+function SettingsView() {
+  const can = usePermissions();
+  const canEditRates = can('rates.edit');
+  const [exchangeRates, setExchangeRates] = useState(DEFAULT_EXCHANGE_RATES);
+  const [storedRates, setStoredRates] = useState(null);
+  const [lastUpdate, setLastUpdate] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const [currencies, setCurrencies] = useState(DEFAULT_CURRENCIES);
+  const activeCurrencies = enabledCurrencies(currencies);
+
+  useEffect(() => {
+    loadCurrencies().then(setCurrencies);
+  }, []);
+
+  const loadRates = useCallback(async () => {
+    setLoadError('');
+    try {
+      const [ratesRes, historyRes] = await Promise.all([
+        axios.get(`${API_URL}/settings/exchange-rates`, noCacheConfig()),
+        axios.get(`${API_URL}/settings/exchange-rates/history`, noCacheConfig()).catch((error) => {
+          console.error('Error loading rate history:', error);
+          return { data: { history: [] } };
+        })
+      ]);
+      const settings = ratesRes.data;
+      setExchangeRates({ ...DEFAULT_EXCHANGE_RATES, ...(settings.rates || {}) });
+      setStoredRates(settings.rates || null);
+      setLastUpdate(settings.updatedAt ? { updatedAt: settings.updatedAt, updatedBy: settings.updatedBy } : null);
+      setHistory(historyRes.data.history || []);
+    } catch (error) {
+      console.error('Error loading rates:', error);
+      // Nothing stored yet: start from the defaults. Anything else must block saving,
+      // otherwise the defaults would overwrite the live rates.
+      if (error.response?.status !== 404) {
+        setLoadError(apiErrorMessage(error, 'Could not load the current exchange rates.'));
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRates();
+  }, [loadRates]);
+
+  const saveRates = async (rates, extra = {}, note = extra.restoredFrom && `Restored from version ${extra.restoredFrom}`) => {
+    const invalid = activeCurrencies.filter(({ code }) => !isValidRate(rates[code])).map(({ code }) => code);
+    if (invalid.length) {
+      alert(`Not saved: ${invalid.join(', ')} need a rate above 0.`);
+      return false;
+    }
+    setSaving(true);
+    try {
+      await saveGlobalRates({
+        rates: Object.fromEntries(Object.entries(rates).map(([code, rate]) => [code, Number(rate)])),
+        extra,
+        note
+      });
+      await loadRates();
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+      return true;
+    } catch (error) {
+      console.error('Error saving rates:', error);
+      alert(apiErrorMessage(error, 'Error saving exchange rates'));
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => saveRates(exchangeRates);
+  const invalidRates = activeCurrencies.filter(({ code }) => !isValidRate(exchangeRates[code]));
+
+  const restoreVersion = async (version) => {
+    if (!window.confirm(`Restore exchange rates from version ${version.version}? This replaces the live rates for every product using global rates.`)) {
+      return;
+    }
+    if (await saveRates(version.rates, { restoredFrom: version.version })) {
+      setSelectedVersion(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
+  }
+
+  return (
+    <div>
+      <h1 className="text-3xl font-bold text-gray-800 mb-8">Store Settings</h1>
+
+      <div className="bg-white rounded-lg shadow-lg p-6">
+        <div className="flex justify-between items-center mb-6">
+          <div>
+            <h2 className="text-2xl font-bold">Exchange Rates</h2>
+            <p className="text-gray-600 mt-1">Set exchange rates for multi-currency pricing</p>
+            <p className="text-sm text-gray-500 mt-1">
+              {lastUpdate
+                ? `Last changed ${formatDateTime(lastUpdate.updatedAt)} by ${formatUserName(lastUpdate.updatedBy)}`
+                : 'No rates saved yet — showing defaults'}
+            </p>
+          </div>
+          <button
+            onClick={handleSave}
+            disabled={!canEditRates || saving || Boolean(loadError) || invalidRates.length > 0}
+            title={canEditRates ? undefined : 'Your role cannot change exchange rates'}
+            className="bg-gradient-to-r from-green-600 to-green-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {saved ? '✓ Saved!' : saving ? 'Saving...' : 'Save Rates'}
+          </button>
+        </div>
+
+        {invalidRates.length > 0 && (
+          <div className="mb-6 bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">
+            Saving is disabled until {invalidRates.map(({ code }) => code).join(', ')} {invalidRates.length === 1 ? 'has' : 'have'} a rate above 0.
+          </div>
+        )}
+
+        {loadError && (
+          <div className="mb-6 bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg flex justify-between items-center">
+            <span>{loadError} Saving is disabled so the live rates are not overwritten.</span>
+            <button onClick={loadRates} className="font-medium underline">Retry</button>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {activeCurrencies.map((currency) => (
+            <div key={currency.code} className="border border-gray-200 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <div>
+                  <div className="font-bold text-lg">{currency.code}</div>
+                  <div className="text-sm text-gray-600">{currency.name}</div>
+                </div>
+                <div className="text-2xl">{currency.symbol}</div>
+              </div>
+              <div className="mt-3">
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Rate (per 1 USD)
+                </label>
+                <input
+                  type="number"
+                  step="0.01"
+                  value={exchangeRates[currency.code] ?? ''}
+                  disabled={!canEditRates}
+                  onChange={(e) => setExchangeRates({
+                    ...exchangeRates,
+                    [currency.code]: e.target.value
+                  })}
+                  className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 ${isValidRate(exchangeRates[currency.code]) ? 'border-gray-300' : 'border-red-500'}`}
+                />
+                {isValidRate(exchangeRates[currency.code]) ? (
+                  <div className="text-xs text-gray-500 mt-1">
+                    $100 = {formatMoney(convertPrice(100, Number(exchangeRates[currency.code]), currency), currency)}
+                  </div>
+                ) : (
+                  <div className="text-xs text-red-600 mt-1">Enter a rate above 0</div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-8 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+          <h3 className="font-semibold text-blue-900 mb-2">ℹ️ How it works</h3>
+          <p className="text-sm text-blue-800">
+            These rates are used to convert product prices from USD (base currency) to other currencies.
+            For example, if a product costs $100 USD and the INR rate is 82.5, the price in India will be ₹8,250.
+          </p>
+        </div>
+      </div>
+
+      <div className="mt-8 bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold mb-1">Rate History</h2>
+        <p className="text-gray-600 mb-6">Every saved version of the global rates. Select one to compare it with the version before it.</p>
+
+        {history.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No saved versions yet.</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Version</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Saved</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">By</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {history.map((version, index) => (
+                <tr key={version._id || version.version} className={selectedVersion === version ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-6 py-4 font-medium">
+                    v{version.version}
+                    {index === 0 && (
+                      <span className="ml-2 px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-700">Current</span>
+                    )}
+                    {version.restoredFrom && (
+                      <span className="ml-2 text-xs text-gray-500">restored from v{version.restoredFrom}</span>
+                    )}
+                    {version.feed && (
+                      <span className="ml-2 text-xs text-gray-500">from {RATE_PROVIDERS[version.feed]?.label || version.feed}</span>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{formatDateTime(version.updatedAt)}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{formatUserName(version.updatedBy)}</td>
+                  <td className="px-6 py-4">
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setSelectedVersion(selectedVersion === version ? null : version)}
+                        className="text-blue-600 hover:text-blue-800 font-medium"
+                      >
+                        {selectedVersion === version ? 'Hide changes' : 'View changes'}
+                      </button>
+                      {index > 0 && canEditRates && (
+                        <button
+                          onClick={() => restoreVersion(version)}
+                          disabled={saving || Boolean(loadError)}
+                          className="text-green-600 hover:text-green-800 font-medium disabled:opacity-50"
+                        >
+                          Restore this version
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {selectedVersion && (
+          <RateDiff
+            currencies={activeCurrencies}
+            before={history[history.indexOf(selectedVersion) + 1]?.rates || {}}
+            after={selectedVersion.rates || {}}
+            title={`Changes in v${selectedVersion.version}`}
+          />
+        )}
+      </div>
+
+      {canEditRates && (
+        <RateFeedSettings
+          currencies={activeCurrencies}
+          currentRates={{ ...DEFAULT_EXCHANGE_RATES, ...(storedRates || {}) }}
+          disabled={saving || Boolean(loadError)}
+          onApply={saveRates}
+        />
+      )}
+      {canEditRates && <CurrencySettings currencies={currencies} onSaved={setCurrencies} />}
+      {can('warehouses.edit') && <WarehouseSettings />}
+      {can('storage.migrate') && <ImageStorageMigration />}
+    </div>
+  );
+}
+
+// Warehouses for per-location stock. With none configured, stock is kept under a single "Main" warehouse.
+function WarehouseSettings() {
+  const [warehouses, setWarehouses] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    loadWarehouses().then(setWarehouses);
+  }, []);
+
+  const addWarehouse = () => {
+    const name = newName.trim();
+    const id = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!id) return;
+    if (warehouses.some((warehouse) => warehouse.id === id)) {
+      alert(`A warehouse called "${name}" already exists.`);
+      return;
+    }
+    setWarehouses([...warehouses, { id, name }]);
+    setNewName('');
+  };
+
+  const removeWarehouse = (id) => {
+    if (window.confirm('Remove this warehouse? Stock already recorded against it is kept on products but no longer shown or counted.')) {
+      setWarehouses(warehouses.filter((warehouse) => warehouse.id !== id));
+    }
+  };
+
+  const save = async () => {
+    setSaving(true);
+    try {
+      await axios.post(`${API_URL}/settings/warehouses`, { warehouses });
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (error) {
+      console.error('Error saving warehouses:', error);
+      alert(apiErrorMessage(error, 'Error saving warehouses'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!warehouses) {
+    return null;
+  }
+
+  return (
+    <div className="mt-8 bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-1">Warehouses</h2>
+      <p className="text-gray-600 mb-6">
+        Locations that hold stock. Products that track inventory keep an on-hand quantity for each.
+      </p>
+
+      <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200 mb-4">
+        {warehouses.map((warehouse) => (
+          <li key={warehouse.id} className="px-4 py-2 flex justify-between items-center">
+            <span className="font-medium">{warehouse.name}</span>
+            {warehouses.length > 1 && (
+              <button onClick={() => removeWarehouse(warehouse.id)} className="text-red-600 hover:text-red-800 text-sm font-medium">
+                Remove
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <div className="flex gap-3 items-center">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="New warehouse name"
+          className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={addWarehouse}
+          className="bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg font-medium hover:bg-gray-50"
+        >
+          Add
+        </button>
+        <button
+          onClick={save}
+          disabled={saving}
+          className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-2 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Warehouses'}
+        </button>
+        {saved && <span className="text-green-700">✓ Saved</span>}
       </div>
     </div>
   );
 }
 
-// Categories View
-function CategoriesView() {
-  const [categories, setCategories] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [showForm, setShowForm] = useState(false);
-  const [editingCategory, setEditingCategory] = useState(null);
-
-  useEffect(() => {
-    loadCategories();
-  }, []);
+// Moves images that older product saves stored inline as data URLs into image storage
+function ImageStorageMigration() {
+  const [affected, setAffected] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
 
-  const loadCategories = async () => {
+  const scan = async () => {
+    setScanning(true);
+    setResults([]);
+    setProgress(null);
     try {
-      const response = await axios.get(`${API_URL}/categories`);
-      setCategories(response.data.categories || []);
+      const products = await fetchAllProducts();
+      setAffected(products.filter((product) => (product.images || []).some(isDataUrl)));
     } catch (error) {
-      console.error('Error loading categories:', error);
-      setCategories([]);
+      console.error('Error scanning products:', error);
+      alert(apiErrorMessage(error, 'Error scanning products'));
     } finally {
-      setLoading(false);
+      setScanning(false);
     }
   };
 
-  const deleteCategory = async (id) => {
-    if (window.confirm('Delete this category?')) {
+  const migrate = async () => {
+    const outcome = [];
+    setResults([]);
+    setProgress(0);
+    const options = loadImageProcessingOptions();
+    for (const product of affected) {
       try {
-        await axios.delete(`${API_URL}/categories/${id}`);
-        loadCategories();
+        const images = [];
+        // Thumbnails of images that stay are kept; migrated images get a fresh one like any new upload
+        const thumbnails = {};
+        for (const [index, image] of (product.images || []).entries()) {
+          if (!isDataUrl(image)) {
+            images.push(image);
+            if (product.thumbnails?.[image]) thumbnails[image] = product.thumbnails[image];
+            continue;
+          }
+          const file = await dataUrlToFile(image, `${product._id}-${index + 1}`);
+          if (UNPROCESSED_IMAGE_TYPES.includes(file.type)) {
+            images.push(await uploadImageFile(file));
+            continue;
+          }
+          const processed = await processImage(file, null, options);
+          const url = await uploadImageFile(processed.file);
+          thumbnails[url] = await uploadImageFile(processed.thumbnail);
+          images.push(url);
+        }
+        const changes = { images, image: images[0] || '', thumbnails };
+        await axios.put(`${API_URL}/products/${product._id}`, changes, auditNote('Images moved to storage'));
+        outcome.push({ product, success: true });
       } catch (error) {
-        console.error('Error deleting category:', error);
-        alert('Error deleting category');
+        console.error('Error migrating product images:', error);
+        outcome.push({ product, success: false, message: apiErrorMessage(error) });
       }
+      setProgress(outcome.length);
     }
+    setResults(outcome);
+    setAffected(outcome.filter((result) => !result.success).map((result) => result.product));
   };
 
-  if (loading) {
-    return <div className="text-center py-12"><div className="spinner mx-auto"></div></div>;
-  }
+  const running = progress !== null && affected && progress < affected.length && !results.length;
 
   return (
-    <div>
-      <div className="flex justify-between items-center mb-8">
-        <h1 className="text-3xl font-bold text-gray-800">Categories Management</h1>
+    <div className="mt-8 bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-1">Image Storage</h2>
+      <p className="text-gray-600 mb-6">
+        Find product images saved inline as data URLs and move them to image storage, keeping only the URL on the product.
+      </p>
+
+      <div className="flex items-center gap-4">
         <button
-          onClick={() => { setEditingCategory(null); setShowForm(true); }}
-          className="bg-gradient-to-r from-purple-600 to-purple-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+          onClick={scan}
+          disabled={scanning || running}
+          className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
         >
-          + Add Category
+          {scanning ? 'Scanning...' : 'Scan Products'}
         </button>
-      </div>
-
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-        {categories.length === 0 ? (
-          <div className="col-span-3 text-center py-12 text-gray-500">
-            No categories yet. Click "Add Category" to create one.
-          </div>
-        ) : (
-          categories.map((category) => (
-            <div key={category._id} className="bg-white p-6 rounded-lg shadow-lg hover:shadow-xl transition-shadow">
-              <div className="flex items-start justify-between mb-4">
-                <div className="text-4xl">{category.icon}</div>
-              </div>
-              <h3 className="text-xl font-bold text-gray-800 mb-2">{category.name}</h3>
-              <p className="text-gray-600 text-sm mb-4">{category.description}</p>
-              <div className="flex gap-2">
-                <button
-                  onClick={() => { setEditingCategory(category); setShowForm(true); }}
-                  className="flex-1 bg-blue-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-blue-700"
-                >
-                  Edit
-                </button>
-                <button
-                  onClick={() => deleteCategory(category._id)}
-                  className="flex-1 bg-red-600 text-white px-4 py-2 rounded-lg font-medium hover:bg-red-700"
-                >
-                  Delete
-                </button>
-              </div>
-            </div>
-          ))
+        {affected && affected.length > 0 && (
+          <button
+            onClick={migrate}
+            disabled={running}
+            className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {running ? `Migrating ${progress} of ${affected.length}...` : `Migrate ${affected.length} Product(s)`}
+          </button>
+        )}
+        {affected && affected.length === 0 && !results.length && (
+          <span className="text-green-700">No data-URL images found.</span>
         )}
       </div>
 
-      {showForm && (
-        <CategoryForm
-          category={editingCategory}
-          onClose={() => { setShowForm(false); setEditingCategory(null); }}
-          onSave={loadCategories}
-        />
+      {results.length > 0 && (
+        <ul className="mt-6 border border-gray-200 rounded-lg divide-y divide-gray-200 max-h-72 overflow-y-auto text-sm">
+          {results.map(({ product, success, message }) => (
+            <li key={product._id} className="px-4 py-2 flex justify-between gap-4">
+              <span className="font-medium">{product.name}</span>
+              <span className={success ? 'text-green-700' : 'text-red-700'}>{success ? '✓ Migrated' : `✗ ${message}`}</span>
+            </li>
+          ))}
+        </ul>
       )}
     </div>
   );
 }
 
-// Category Form
-function CategoryForm({ category, onClose, onSave }) {
-  const [formData, setFormData] = useState(category || {
-    name: '',
-    description: '',
-    icon: '📦'
-  });
+// Currencies offered for pricing. Disabling one hides it from the product form and the rate cards
+// without deleting its stored rates.
+const EMPTY_CURRENCY = {
+  code: '',
+  name: '',
+  symbol: '',
+  decimals: 2,
+  symbolPosition: 'before',
+  rounding: { roundTo: 0.01, ending: '' },
+  enabled: true
+};
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+function CurrencySettings({ currencies, onSaved }) {
+  const [list, setList] = useState(currencies);
+  const [draft, setDraft] = useState(EMPTY_CURRENCY);
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    setList(currencies);
+  }, [currencies]);
+
+  const updateCurrency = (code, changes) => {
+    setList(list.map((currency) => (currency.code === code ? { ...currency, ...changes } : currency)));
+  };
+
+  const addCurrency = () => {
+    const currency = { ...draft, code: draft.code.trim().toUpperCase(), name: draft.name.trim(), symbol: draft.symbol.trim() };
+    const problems = validateCurrency(currency, list);
+    setErrors(problems);
+    if (problems.length === 0) {
+      setList([...list, currency]);
+      setDraft(EMPTY_CURRENCY);
+    }
+  };
+
+  const saveCurrencies = async () => {
+    const problems = list.flatMap((currency) => validateCurrency(currency, list));
+    setErrors(problems);
+    if (problems.length) return;
+
+    setSaving(true);
     try {
-      if (category) {
-        await axios.put(`${API_URL}/categories/${category._id}`, formData);
-      } else {
-        await axios.post(`${API_URL}/categories`, formData);
-      }
-      onSave();
-      onClose();
+      await axios.post(`${API_URL}/settings/currencies`, { currencies: list });
+      onSaved(list);
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
     } catch (error) {
-      console.error('Error saving category:', error);
-      alert('Error saving category');
+      console.error('Error saving currencies:', error);
+      alert(apiErrorMessage(error, 'Error saving currencies'));
+    } finally {
+      setSaving(false);
     }
   };
 
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+  const currencyFields = (currency, onChange) => (
+    <>
+      <td className="px-4 py-2">
+        <input type="text" value={currency.name} onChange={(e) => onChange({ name: e.target.value })} className={inputClass} placeholder="Name" />
+      </td>
+      <td className="px-4 py-2 w-24">
+        <input type="text" value={currency.symbol} onChange={(e) => onChange({ symbol: e.target.value })} className={inputClass} placeholder="Symbol" />
+      </td>
+      <td className="px-4 py-2 w-24">
+        <input
+          type="number"
+          min="0"
+          max="4"
+          value={currency.decimals}
+          onChange={(e) => onChange({ decimals: parseInt(e.target.value, 10) })}
+          className={inputClass}
+        />
+      </td>
+      <td className="px-4 py-2 w-32">
+        <select value={currency.symbolPosition} onChange={(e) => onChange({ symbolPosition: e.target.value })} className={inputClass}>
+          <option value="before">Before</option>
+          <option value="after">After</option>
+        </select>
+      </td>
+      <td className="px-4 py-2 w-36">
+        <select
+          value={currency.rounding?.roundTo ?? 0.01}
+          onChange={(e) => onChange({ rounding: { ...currency.rounding, roundTo: Number(e.target.value) } })}
+          className={inputClass}
+        >
+          {ROUNDING_STEPS.map((step) => <option key={step.value} value={step.value}>{step.label}</option>)}
+        </select>
+      </td>
+      <td className="px-4 py-2 w-36">
+        <select
+          value={currency.rounding?.ending || ''}
+          onChange={(e) => onChange({ rounding: { ...currency.rounding, ending: e.target.value } })}
+          className={inputClass}
+        >
+          {PRICE_ENDINGS.map((ending) => <option key={ending.id} value={ending.id}>{ending.label}</option>)}
+        </select>
+      </td>
+    </>
+  );
+
   return (
-    <div className="fixed inset-0 bg-black/80 backdrop-blur-sm flex items-center justify-center z-50 p-4" onClick={onClose}>
-      <div className="bg-white rounded-2xl max-w-md w-full" onClick={(e) => e.stopPropagation()}>
-        <div className="border-b px-6 py-4 flex justify-between items-center">
-          <h2 className="text-2xl font-bold">{category ? 'Edit' : 'Add'} Category</h2>
-          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
-            <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-            </svg>
-          </button>
+    <div className="mt-8 bg-white rounded-lg shadow-lg p-6">
+      <div className="flex justify-between items-center mb-6">
+        <div>
+          <h2 className="text-2xl font-bold mb-1">Currencies</h2>
+          <p className="text-gray-600">
+            Currencies offered for pricing and how converted prices are rounded. Codes must be ISO 4217; USD is the base currency.
+          </p>
         </div>
+        <button
+          onClick={saveCurrencies}
+          disabled={saving}
+          className="bg-gradient-to-r from-green-600 to-green-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+        >
+          {saved ? '✓ Saved!' : saving ? 'Saving...' : 'Save Currencies'}
+        </button>
+      </div>
 
-        <form onSubmit={handleSubmit} className="p-6 space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Category Name *</label>
-            <input
-              type="text"
-              value={formData.name}
-              onChange={(e) => setFormData({...formData, name: e.target.value})}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
-              required
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Icon (Emoji)</label>
-            <input
-              type="text"
-              value={formData.icon}
-              onChange={(e) => setFormData({...formData, icon: e.target.value})}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
-              placeholder="📦"
-            />
-          </div>
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
-            <textarea
-              value={formData.description}
-              onChange={(e) => setFormData({...formData, description: e.target.value})}
-              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
-              rows="3"
-            />
-          </div>
+      {errors.length > 0 && (
+        <div className="mb-4 bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{errors.join('. ')}</div>
+      )}
 
-          <div className="flex gap-4 pt-4">
-            <button
-              type="submit"
-              className="flex-1 bg-gradient-to-r from-purple-600 to-purple-500 text-white py-3 rounded-lg font-semibold hover:shadow-lg"
-            >
-              {category ? 'Update' : 'Create'} Category
-            </button>
-            <button
-              type="button"
-              onClick={onClose}
-              className="flex-1 bg-gray-600 text-white py-3 rounded-lg font-semibold hover:bg-gray-700"
-            >
-              Cancel
-            </button>
-          </div>
-        </form>
-      </div>
+      <table className="w-full text-sm">
+        <thead className="bg-gray-50 border-b">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Code</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Name</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Symbol</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Decimals</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Symbol position</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Round to</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Ending</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">1,234.56 becomes</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Enabled</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {list.map((currency) => (
+            <tr key={currency.code} className={currency.enabled ? '' : 'bg-gray-50 text-gray-500'}>
+              <td className="px-4 py-2 font-medium">{currency.code}</td>
+              {currencyFields(currency, (changes) => updateCurrency(currency.code, changes))}
+              <td className="px-4 py-2 whitespace-nowrap">{formatMoney(applyRounding(1234.56, currency), currency)}</td>
+              <td className="px-4 py-2">
+                <input
+                  type="checkbox"
+                  checked={currency.enabled}
+                  disabled={currency.code === BASE_CURRENCY}
+                  onChange={(e) => updateCurrency(currency.code, { enabled: e.target.checked })}
+                  className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                  aria-label={`Enable ${currency.code}`}
+                />
+              </td>
+            </tr>
+          ))}
+          <tr className="bg-blue-50">
+            <td className="px-4 py-2 w-28">
+              <input
+                type="text"
+                value={draft.code}
+                maxLength={3}
+                onChange={(e) => setDraft({ ...draft, code: e.target.value.toUpperCase() })}
+                className={inputClass}
+                placeholder="Code"
+              />
+            </td>
+            {currencyFields(draft, (changes) => setDraft({ ...draft, ...changes }))}
+            <td className="px-4 py-2 whitespace-nowrap">{draft.symbol && formatMoney(applyRounding(1234.56, draft), draft)}</td>
+            <td className="px-4 py-2">
+              <button onClick={addCurrency} className="text-blue-600 hover:text-blue-800 font-medium">
+                Add
+              </button>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <p className="text-sm text-gray-500 mt-3">Set the rate for a new currency under Exchange Rates once it has been saved.</p>
     </div>
   );
 }
 
-// Settings View
-function SettingsView() {
-  const [exchangeRates, setExchangeRates] = useState({
-    USD: 1,
-    GBP: 0.79,
-    EUR: 0.92,
-    INR: 82.5,
-    AED: 3.67,
-    AUD: 1.52,
-    CAD: 1.35,
-    JPY: 148,
-    CNY: 7.24,
-    SAR: 3.75
-  });
+// Feed configuration, plus the proposal from a manual check or the one a scheduled run left waiting
+function RateFeedSettings({ currencies, currentRates, disabled, onApply }) {
+  const [feed, setFeed] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [proposal, setProposal] = useState(null);
+  // Only holds rows the user ticked or unticked; the rest follow their drift flag
+  const [decisions, setDecisions] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [saving, setSaving] = useState(false);
   const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
 
-  const CURRENCIES = [
-    { code: 'USD', name: 'US Dollar', symbol: '$' },
-    { code: 'GBP', name: 'British Pound', symbol: '£' },
-    { code: 'EUR', name: 'Euro', symbol: '€' },
-    { code: 'INR', name: 'Indian Rupee', symbol: '₹' },
-    { code: 'AED', name: 'UAE Dirham', symbol: 'د.إ' },
-    { code: 'AUD', name: 'Australian Dollar', symbol: 'A$' },
-    { code: 'CAD', name: 'Canadian Dollar', symbol: 'C$' },
-    { code: 'JPY', name: 'Japanese Yen', symbol: '¥' },
-    { code: 'CNY', name: 'Chinese Yuan', symbol: '¥' },
-    { code: 'SAR', name: 'Saudi Riyal', symbol: 'ر.س' }
-  ];
+  useEffect(() => {
+    loadRateFeed()
+      .then((loaded) => {
+        setFeed(loaded);
+        setProposal(loaded.pending);
+      })
+      .catch((error) => {
+        console.error('Error loading rate feed settings:', error);
+        setLoadError(apiErrorMessage(error, 'Could not load the rate feed settings.'));
+      });
+  }, []);
 
-  const handleSave = async () => {
+  if (loadError) {
+    return (
+      <div className="mt-8 bg-white rounded-lg shadow-lg p-6">
+        <h2 className="text-2xl font-bold mb-4">Rate Feed</h2>
+        <div className="bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">
+          {loadError} The feed settings cannot be changed until they load.
+        </div>
+      </div>
+    );
+  }
+
+  if (!feed) {
+    return null;
+  }
+
+  const provider = RATE_PROVIDERS[feed.provider] || RATE_PROVIDERS.fixture;
+  const changes = proposal ? planRateUpdate(currentRates, pickRates(proposal.rates, currencies), feed.driftPercent) : [];
+  const isApproved = (change) => decisions[change.code] ?? !change.flagged;
+  const approvedChanges = changes.filter(isApproved);
+
+  const handleSaveFeed = async () => {
+    const intervalHours = Number(feed.intervalHours);
+    const driftPercent = Number(feed.driftPercent);
+    if (!feed.source.trim() || !(intervalHours >= 1) || !(driftPercent >= 0)) {
+      setError('Enter a source, a check interval of at least 1 hour and a drift limit of 0% or more.');
+      return;
+    }
+    setError('');
+    setSaving(true);
     try {
-      await axios.post(`${API_URL}/settings/exchange-rates`, { rates: exchangeRates });
+      const nextFeed = { ...feed, source: feed.source.trim(), intervalHours, driftPercent };
+      await saveRateFeed(nextFeed);
+      setFeed(nextFeed);
       setSaved(true);
       setTimeout(() => setSaved(false), 3000);
-    } catch (error) {
-      console.error('Error saving rates:', error);
-      alert('Error saving exchange rates');
+    } catch (saveError) {
+      console.error('Error saving rate feed settings:', saveError);
+      setError(apiErrorMessage(saveError, 'Error saving rate feed settings'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // The API fetches the source shown in the form, saved or not, and returns the rates without parking them
+  const checkNow = async () => {
+    setError('');
+    setChecking(true);
+    try {
+      const response = await axios.post(`${API_URL}/settings/rate-feed/check`, { provider: feed.provider, source: feed.source.trim() });
+      setProposal({ rates: response.data.rates || {}, fetchedAt: response.data.fetchedAt });
+      setDecisions({});
+    } catch (checkError) {
+      console.error('Error checking rate feed:', checkError);
+      setError(apiErrorMessage(checkError, 'Could not read the rate feed'));
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Names the proposal by its fetchedAt, so one the job parked meanwhile is left for review
+  const clearProposal = async () => {
+    const parked = feed.pending && proposal?.fetchedAt === feed.pending.fetchedAt;
+    setProposal(null);
+    setDecisions({});
+    if (parked) {
+      try {
+        await axios.delete(`${API_URL}/settings/rate-feed/pending`, { params: { fetchedAt: feed.pending.fetchedAt } });
+        setFeed({ ...feed, pending: null });
+      } catch (clearError) {
+        console.error('Error clearing pending rates:', clearError);
+        setError(apiErrorMessage(clearError, 'Error clearing pending rates'));
+      }
     }
   };
 
+  const applyApproved = async () => {
+    const rates = { ...currentRates, ...Object.fromEntries(approvedChanges.map((change) => [change.code, change.proposed])) };
+    const codes = approvedChanges.map((change) => change.code).join(', ');
+    if (await onApply(rates, { feed: feed.provider }, `Approved from ${provider.label}: ${codes}`)) {
+      await clearProposal();
+    }
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500';
+
   return (
-    <div>
-      <h1 className="text-3xl font-bold text-gray-800 mb-8">Store Settings</h1>
+    <div className="mt-8 bg-white rounded-lg shadow-lg p-6">
+      <h2 className="text-2xl font-bold mb-1">Rate Feed</h2>
+      <p className="text-gray-600 mb-6">
+        Pull the global rates from a provider instead of typing them in. The server checks the feed on schedule but never
+        changes rates on its own: what it finds waits here for approval, with moves beyond the drift limit flagged and left unticked.
+      </p>
 
-      <div className="bg-white rounded-lg shadow-lg p-6">
-        <div className="flex justify-between items-center mb-6">
-          <div>
-            <h2 className="text-2xl font-bold">Exchange Rates</h2>
-            <p className="text-gray-600 mt-1">Set exchange rates for multi-currency pricing</p>
-          </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Provider</label>
+          <select
+            value={feed.provider}
+            onChange={(e) => setFeed({ ...feed, provider: e.target.value, source: RATE_PROVIDERS[e.target.value].defaultSource })}
+            className={inputClass}
+          >
+            {Object.entries(RATE_PROVIDERS).map(([id, option]) => (
+              <option key={id} value={id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">{provider.sourceLabel}</label>
+          <input
+            type="text"
+            value={feed.source}
+            onChange={(e) => setFeed({ ...feed, source: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Check every (hours)</label>
+          <input
+            type="number"
+            min="1"
+            value={feed.intervalHours}
+            onChange={(e) => setFeed({ ...feed, intervalHours: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Flag changes above (% change)</label>
+          <input
+            type="number"
+            min="0"
+            step="0.1"
+            value={feed.driftPercent}
+            onChange={(e) => setFeed({ ...feed, driftPercent: e.target.value })}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      <div className="mt-4 flex flex-wrap items-center justify-between gap-3">
+        <label className="flex items-center text-gray-700">
+          <input
+            type="checkbox"
+            checked={feed.enabled}
+            onChange={(e) => setFeed({ ...feed, enabled: e.target.checked })}
+            className="w-5 h-5 text-blue-600 rounded focus:ring-blue-500"
+          />
+          <span className="ml-2">Check automatically</span>
+        </label>
+        <div className="flex gap-3">
           <button
-            onClick={handleSave}
-            className="bg-gradient-to-r from-green-600 to-green-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+            onClick={checkNow}
+            disabled={checking}
+            className="bg-white border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 transition-all disabled:opacity-50"
           >
-            {saved ? '✓ Saved!' : 'Save Rates'}
+            {checking ? 'Checking...' : 'Check Now'}
+          </button>
+          <button
+            onClick={handleSaveFeed}
+            disabled={saving}
+            className="bg-gradient-to-r from-blue-600 to-blue-500 text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+          >
+            {saved ? '✓ Saved!' : saving ? 'Saving...' : 'Save Feed Settings'}
           </button>
         </div>
+      </div>
 
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {CURRENCIES.map((currency) => (
-            <div key={currency.code} className="border border-gray-200 rounded-lg p-4">
-              <div className="flex items-center justify-between mb-2">
-                <div>
-                  <div className="font-bold text-lg">{currency.code}</div>
-                  <div className="text-sm text-gray-600">{currency.name}</div>
-                </div>
-                <div className="text-2xl">{currency.symbol}</div>
-              </div>
-              <div className="mt-3">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Rate (per 1 USD)
-                </label>
-                <input
-                  type="number"
-                  step="0.01"
-                  value={exchangeRates[currency.code]}
-                  onChange={(e) => setExchangeRates({
-                    ...exchangeRates,
-                    [currency.code]: parseFloat(e.target.value) || 0
-                  })}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
-                />
+      <p className="text-sm text-gray-500 mt-3">
+        {feed.lastCheckedAt ? `Last scheduled check ${formatDateTime(feed.lastCheckedAt)}` : 'Not checked on a schedule yet'}
+        {feed.lastError && <span className="text-red-600"> — failed: {feed.lastError}</span>}
+        {feed.enabled && (rateFeedDue(feed)
+          ? ' · next check on the server\'s next run'
+          : ` · next check ${formatDateTime(new Date(feed.lastCheckedAt).getTime() + Number(feed.intervalHours) * 60 * 60 * 1000)}`)}
+      </p>
+      {error && <div className="mt-4 bg-red-100 border border-red-300 text-red-700 px-4 py-3 rounded-lg">{error}</div>}
+
+      {proposal && (
+        <div className="mt-6 border border-gray-200 rounded-lg overflow-hidden">
+          <div className="bg-gray-50 border-b px-4 py-3 flex justify-between items-center">
+            <span className="font-semibold">
+              Proposed rates from {formatDateTime(proposal.fetchedAt)}
+              {feed.pending && proposal.fetchedAt === feed.pending.fetchedAt && ' (waiting for approval)'}
+            </span>
+            <button onClick={clearProposal} className="text-sm text-gray-600 hover:text-gray-800 font-medium">
+              Dismiss
+            </button>
+          </div>
+          {changes.length === 0 ? (
+            <div className="px-4 py-6 text-center text-gray-500">The feed matches the current rates.</div>
+          ) : (
+            <>
+              <table className="w-full text-sm">
+                <thead className="border-b">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Current</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Proposed</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Apply</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {currencies.map(({ code }) => changes.find((change) => change.code === code)).filter(Boolean).map((change) => (
+                    <tr key={change.code} className={change.flagged ? 'bg-amber-50' : ''}>
+                      <td className="px-4 py-2 font-medium">
+                        {change.code}
+                        {change.flagged && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-700">Beyond drift limit</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">{change.current ?? '—'}</td>
+                      <td className="px-4 py-2 font-semibold">{change.proposed}</td>
+                      <td className={`px-4 py-2 ${change.drift > 0 ? 'text-green-700' : 'text-red-700'}`}>
+                        {change.drift === null ? 'new' : `${change.drift > 0 ? '+' : ''}${change.drift.toFixed(2)}%`}
+                      </td>
+                      <td className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          checked={isApproved(change)}
+                          onChange={(e) => setDecisions({ ...decisions, [change.code]: e.target.checked })}
+                          className="w-4 h-4 text-blue-600 rounded focus:ring-blue-500"
+                          aria-label={`Apply ${change.code}`}
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <div className="border-t px-4 py-3 flex justify-end">
+                <button
+                  onClick={applyApproved}
+                  disabled={disabled || approvedChanges.length === 0}
+                  className="bg-gradient-to-r from-green-600 to-green-500 text-white px-6 py-2 rounded-lg font-semibold hover:shadow-lg transition-all disabled:opacity-50"
+                >
+                  Apply {approvedChanges.length} Rate(s)
+                </button>
               </div>
-            </div>
-          ))}
+            </>
+          )}
         </div>
+      )}
+    </div>
+  );
+}
 
-        <div className="mt-8 p-4 bg-blue-50 border border-blue-200 rounded-lg">
-          <h3 className="font-semibold text-blue-900 mb-2">ℹ️ How it works</h3>
-          <p className="text-sm text-blue-800">
-            These rates are used to convert product prices from USD (base currency) to other currencies.
-            For example, if a product costs $100 USD and the INR rate is 82.5, the price in India will be ₹8,250.
-          </p>
-        </div>
-      </div>
+function RateDiff({ currencies, before, after, title }) {
+  const rows = currencies.map(({ code }) => {
+    const oldRate = before[code];
+    const newRate = after[code];
+    const changed = oldRate !== newRate;
+    const percent = changed && oldRate ? ((newRate - oldRate) / oldRate) * 100 : null;
+    return { code, oldRate, newRate, changed, percent };
+  });
+
+  return (
+    <div className="mt-6 border border-gray-200 rounded-lg overflow-hidden">
+      <div className="bg-gray-50 border-b px-4 py-3 font-semibold">{title}</div>
+      <table className="w-full text-sm">
+        <thead className="border-b">
+          <tr>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Currency</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Before</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">After</th>
+            <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Change</th>
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-200">
+          {rows.map((row) => (
+            <tr key={row.code} className={row.changed ? 'bg-yellow-50' : ''}>
+              <td className="px-4 py-2 font-medium">{row.code}</td>
+              <td className="px-4 py-2 text-gray-600">{row.oldRate ?? '—'}</td>
+              <td className="px-4 py-2 font-semibold">{row.newRate ?? '—'}</td>
+              <td className={`px-4 py-2 ${row.percent > 0 ? 'text-green-700' : row.percent < 0 ? 'text-red-700' : 'text-gray-400'}`}>
+                {!row.changed ? 'unchanged' : row.percent === null ? 'new' : `${row.percent > 0 ? '+' : ''}${row.percent.toFixed(2)}%`}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
     </div>
   );
 }
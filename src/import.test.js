@@ -0,0 +1,61 @@
+import { planImport } from './App';
+
+const categories = [{ _id: 'c1', name: 'Desks' }, { _id: 'c2', name: 'Chairs' }];
+const existing = [
+  { _id: 'p1', sku: 'DESK-1', name: 'Standing Desk', description: 'Oak top', category: 'Desks', categoryId: 'c1', basePrice: 300, exchangeRates: {} },
+  { _id: 'p2', sku: '', name: 'Office Chair', description: 'Mesh back', category: 'Chairs', categoryId: 'c2', basePrice: 120, exchangeRates: {} }
+];
+const globalRates = { USD: 1, EUR: 0.9 };
+
+const entry = (rowNumber, data, extra = {}) => ({ rowNumber, raw: {}, data, errors: [], ...extra });
+const plan = (entries) => planImport(entries, existing, categories, globalRates);
+
+describe('planImport', () => {
+  test('a row matching an existing SKU updates that product, ignoring case', () => {
+    const [row] = plan([entry(2, { sku: 'desk-1', basePrice: 320 })]);
+    expect(row.action).toBe('update');
+    expect(row.existing._id).toBe('p1');
+    expect(row.payload.basePrice).toBe(320);
+  });
+
+  test('a row without a known SKU matches an existing product by name', () => {
+    const [row] = plan([entry(2, { name: '  office chair ', basePrice: 99 })]);
+    expect(row.action).toBe('update');
+    expect(row.existing._id).toBe('p2');
+  });
+
+  test('a JSON backup entry matches by its exported id first', () => {
+    const [row] = plan([entry(1, { sku: 'DESK-1', name: 'Renamed chair' }, { id: 'p2' })]);
+    expect(row.existing._id).toBe('p2');
+  });
+
+  test('an unmatched row creates a product linked to its category', () => {
+    const [row] = plan([entry(2, { sku: 'LAMP-1', name: 'Desk Lamp', description: 'LED', category: 'desks', basePrice: 40 })]);
+    expect(row.action).toBe('create');
+    expect(row.payload).toMatchObject({ categoryId: 'c1', category: 'Desks', inStock: true, featured: false });
+  });
+
+  test('an unknown category is rejected', () => {
+    const [row] = plan([entry(2, { name: 'Sofa', description: 'Grey', category: 'Sofas', basePrice: 800 })]);
+    expect(row.action).toBe('error');
+    expect(row.errors).toContain('Unknown category "Sofas"');
+  });
+
+  test('two rows for the same product reject the second one', () => {
+    const rows = plan([entry(2, { sku: 'DESK-1', basePrice: 310 }), entry(3, { name: 'Standing Desk', basePrice: 320 })]);
+    expect(rows.map((row) => row.action)).toEqual(['update', 'error']);
+    expect(rows[1].errors).toContain('Same product as row 2');
+  });
+
+  test('a rate override that is not above 0 is rejected', () => {
+    const [row] = plan([entry(2, { sku: 'DESK-1', exchangeRates: { EUR: 0 } })]);
+    expect(row.action).toBe('error');
+    expect(row.errors).toContain('EUR rate must be a number above 0');
+  });
+
+  test('an imported override without a basis counts as set against the current global rate', () => {
+    const [row] = plan([entry(2, { sku: 'DESK-1', exchangeRates: { EUR: 0.95 } })]);
+    expect(row.payload.exchangeRates).toEqual({ EUR: 0.95 });
+    expect(row.payload.exchangeRateBasis).toEqual({ EUR: 0.9 });
+  });
+});
@@ -0,0 +1,49 @@
+import { planRateUpdate, rateFeedDue } from './App';
+
+describe('planRateUpdate', () => {
+  const current = { USD: 1, EUR: 0.9, GBP: 0.8, JPY: 150 };
+
+  test('lists only the currencies whose rate changes', () => {
+    const changes = planRateUpdate(current, { USD: 1, EUR: 0.91, GBP: 0.8 }, 5);
+    expect(changes.map((change) => change.code)).toEqual(['EUR']);
+  });
+
+  test('flags moves beyond the drift limit in either direction', () => {
+    const changes = planRateUpdate(current, { EUR: 0.99, GBP: 0.72, JPY: 151 }, 5);
+    expect(changes.map(({ code, flagged }) => [code, flagged])).toEqual([
+      ['EUR', true],
+      ['GBP', true],
+      ['JPY', false]
+    ]);
+    expect(changes[0].drift).toBeCloseTo(10);
+    expect(changes[1].drift).toBeCloseTo(-10);
+  });
+
+  test('a move exactly at the limit is not flagged', () => {
+    const [change] = planRateUpdate({ JPY: 100 }, { JPY: 105 }, '5');
+    expect(change.flagged).toBe(false);
+  });
+
+  test('a currency without a current rate is always flagged', () => {
+    const [change] = planRateUpdate(current, { CHF: 0.88 }, 50);
+    expect(change).toEqual({ code: 'CHF', current: undefined, proposed: 0.88, drift: null, flagged: true });
+  });
+});
+
+describe('rateFeedDue', () => {
+  const now = new Date('2026-10-19T12:00:00Z').getTime();
+  const feed = { enabled: true, intervalHours: 24, lastCheckedAt: '2026-10-18T12:00:00Z' };
+
+  test('is due once the interval has passed', () => {
+    expect(rateFeedDue(feed, now)).toBe(true);
+    expect(rateFeedDue({ ...feed, lastCheckedAt: '2026-10-18T12:00:01Z' }, now)).toBe(false);
+  });
+
+  test('is due when it has never been checked', () => {
+    expect(rateFeedDue({ ...feed, lastCheckedAt: null }, now)).toBe(true);
+  });
+
+  test('is never due while disabled', () => {
+    expect(rateFeedDue({ ...feed, enabled: false, lastCheckedAt: null }, now)).toBe(false);
+  });
+});
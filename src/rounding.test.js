@@ -0,0 +1,50 @@
+import { applyRounding } from './App';
+
+const usd = { code: 'USD', decimals: 2 };
+const jpy = { code: 'JPY', decimals: 0 };
+
+describe('applyRounding', () => {
+  test('rounds to the smallest unit by default', () => {
+    expect(applyRounding(12.345, usd)).toBe(12.35);
+    expect(applyRounding(12.344, usd)).toBe(12.34);
+  });
+
+  test('JPY with no decimals rounds to whole yen', () => {
+    expect(applyRounding(88652.4, jpy)).toBe(88652);
+    expect(applyRounding(88652.5, jpy)).toBe(88653);
+  });
+
+  test('rounds to the nearest 10 or 100', () => {
+    expect(applyRounding(49417.5, { ...usd, rounding: { roundTo: 10 } })).toBe(49420);
+    expect(applyRounding(49417.5, { ...usd, rounding: { roundTo: 100 } })).toBe(49400);
+    expect(applyRounding(88652, { ...jpy, rounding: { roundTo: 100 } })).toBe(88700);
+  });
+
+  test('a .99 ending lands just under the nearest whole unit', () => {
+    const currency = { ...usd, rounding: { ending: '.99' } };
+    expect(applyRounding(119.4, currency)).toBe(118.99);
+    expect(applyRounding(119.6, currency)).toBe(119.99);
+    expect(applyRounding(0.3, currency)).toBe(0.99);
+  });
+
+  test('a .99 ending follows a coarser rounding step', () => {
+    expect(applyRounding(1234, { ...usd, rounding: { roundTo: 100, ending: '.99' } })).toBe(1199.99);
+  });
+
+  test('a 9 ending lands one under the nearest ten', () => {
+    const currency = { ...jpy, rounding: { ending: '9' } };
+    expect(applyRounding(1233, currency)).toBe(1229);
+    expect(applyRounding(1236, currency)).toBe(1239);
+    expect(applyRounding(3, currency)).toBe(9);
+  });
+
+  test('a 9 ending with a step of 100 ends in 99', () => {
+    expect(applyRounding(88652, { ...jpy, rounding: { roundTo: 100, ending: '9' } })).toBe(88699);
+  });
+
+  test('zero, negative and missing amounts price at 0', () => {
+    expect(applyRounding(0, usd)).toBe(0);
+    expect(applyRounding(-5, usd)).toBe(0);
+    expect(applyRounding(NaN, usd)).toBe(0);
+  });
+});
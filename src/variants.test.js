@@ -0,0 +1,60 @@
+import { buildVariantMatrix } from './App';
+
+const finish = { name: 'Finish', values: ['Oak', 'Walnut'] };
+const width = { name: 'Width', values: ['120cm', '160cm'] };
+
+const variant = (options, sku, price = 0) => ({ options, sku, priceMode: 'delta', price, inStock: true, image: '' });
+
+describe('buildVariantMatrix', () => {
+  test('starts every combination empty', () => {
+    const matrix = buildVariantMatrix([finish, width]);
+    expect(matrix.map((entry) => entry.options)).toEqual([
+      { Finish: 'Oak', Width: '120cm' },
+      { Finish: 'Oak', Width: '160cm' },
+      { Finish: 'Walnut', Width: '120cm' },
+      { Finish: 'Walnut', Width: '160cm' }
+    ]);
+    expect(matrix.every((entry) => entry.sku === '')).toBe(true);
+  });
+
+  test('adding an axis extends each variant without copying its SKU', () => {
+    const existing = [variant({ Finish: 'Oak' }, 'DESK-OAK', 10), variant({ Finish: 'Walnut' }, 'DESK-WAL', 25)];
+    const matrix = buildVariantMatrix([finish, width], existing);
+    expect(matrix.map((entry) => [entry.options.Finish, entry.options.Width, entry.price, entry.sku])).toEqual([
+      ['Oak', '120cm', 10, ''],
+      ['Oak', '160cm', 10, ''],
+      ['Walnut', '120cm', 25, ''],
+      ['Walnut', '160cm', 25, '']
+    ]);
+  });
+
+  test('adding a value keeps the existing combinations and starts the new ones empty', () => {
+    const existing = [variant({ Finish: 'Oak' }, 'DESK-OAK', 10), variant({ Finish: 'Walnut' }, 'DESK-WAL', 25)];
+    const matrix = buildVariantMatrix([{ name: 'Finish', values: ['Oak', 'Walnut', 'White'] }], existing);
+    expect(matrix.map((entry) => [entry.options.Finish, entry.sku, entry.price])).toEqual([
+      ['Oak', 'DESK-OAK', 10],
+      ['Walnut', 'DESK-WAL', 25],
+      ['White', '', 0]
+    ]);
+  });
+
+  test('removing an axis keeps one variant per remaining combination', () => {
+    const existing = buildVariantMatrix([finish, width]).map((entry, index) => ({ ...entry, sku: `SKU-${index}` }));
+    const matrix = buildVariantMatrix([finish], existing);
+    expect(matrix).toEqual([
+      { ...existing[0], options: { Finish: 'Oak' } },
+      { ...existing[2], options: { Finish: 'Walnut' } }
+    ]);
+  });
+
+  test('renaming an axis carries every variant over', () => {
+    const existing = buildVariantMatrix([finish, width]).map((entry, index) => ({ ...entry, sku: `SKU-${index}`, price: index }));
+    const matrix = buildVariantMatrix([{ ...finish, name: 'Colour' }, width], existing, { Finish: 'Colour' });
+    expect(matrix.map((entry) => [entry.options, entry.sku, entry.price])).toEqual([
+      [{ Colour: 'Oak', Width: '120cm' }, 'SKU-0', 0],
+      [{ Colour: 'Oak', Width: '160cm' }, 'SKU-1', 1],
+      [{ Colour: 'Walnut', Width: '120cm' }, 'SKU-2', 2],
+      [{ Colour: 'Walnut', Width: '160cm' }, 'SKU-3', 3]
+    ]);
+  });
+});